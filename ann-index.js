@@ -0,0 +1,175 @@
+/**
+ * Approximate nearest neighbour search (IVF)
+ * Vectors are clustered with spherical k-means; a query only scans the
+ * vectors in its `probes` nearest clusters. More probes = better recall, slower queries.
+ *
+ * Sidecar layout: nlist × dimension float32 centroids, then count int32 list assignments.
+ * In memory each list also keeps the indexes of its vectors (`lists`), so a query reads
+ * only the lists it probes.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { decodeVectors, encodeVectors } from "./vector-store.js";
+
+export const ANN_MIN_CHUNKS = 1000;
+export const DEFAULT_PROBES = 8;
+
+const KMEANS_ITERATIONS = 8;
+const TRAINING_POINTS_PER_LIST = 40;
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function normalize(v) {
+  const norm = Math.sqrt(dot(v, v)) || 1;
+  return Float32Array.from(v, x => x / norm);
+}
+
+function nearestCentroid(centroids, v) {
+  let best = 0, bestScore = -Infinity;
+  for (let c = 0; c < centroids.length; c++) {
+    const score = dot(centroids[c], v);
+    if (score > bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Inverted lists: the vector indexes assigned to each centroid
+ */
+function invertedLists(nlist, assignments) {
+  const lists = Array.from({ length: nlist }, () => []);
+  assignments.forEach((l, i) => {
+    if (l >= 0 && l < nlist) lists[l].push(i);
+  });
+  return lists;
+}
+
+/**
+ * Sidecar path for an index manifest (embeddings-index.json -> embeddings-index.ann.bin)
+ */
+export function annPath(indexPath) {
+  const ext = path.extname(indexPath);
+  return `${ext ? indexPath.slice(0, -ext.length) : indexPath}.ann.bin`;
+}
+
+/**
+ * Train an IVF index on vectors (about sqrt(n) lists, trained on a strided sample)
+ */
+export function trainIvf(vectors, { nlist = Math.round(Math.sqrt(vectors.length)) } = {}) {
+  nlist = Math.max(1, Math.min(nlist, vectors.length));
+  const sampleSize = Math.min(vectors.length, nlist * TRAINING_POINTS_PER_LIST);
+  const stride = vectors.length / sampleSize;
+  const sample = Array.from({ length: sampleSize }, (_, i) => normalize(vectors[Math.floor(i * stride)]));
+
+  // Initialise from evenly spaced sample points so builds are reproducible
+  let centroids = Array.from({ length: nlist }, (_, c) => sample[Math.floor(c * sampleSize / nlist)]);
+  const dimension = sample[0].length;
+
+  for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+    const sums = Array.from({ length: nlist }, () => new Float32Array(dimension));
+    const counts = new Array(nlist).fill(0);
+    for (const v of sample) {
+      const c = nearestCentroid(centroids, v);
+      counts[c]++;
+      for (let j = 0; j < dimension; j++) sums[c][j] += v[j];
+    }
+    // Empty lists keep their previous centroid
+    centroids = sums.map((sum, c) => counts[c] > 0 ? normalize(sum) : centroids[c]);
+  }
+
+  const assignments = vectors.map(v => nearestCentroid(centroids, v));
+  return {
+    type: "ivf",
+    centroids,
+    assignments,
+    lists: invertedLists(nlist, assignments),
+    trained_count: vectors.length,
+  };
+}
+
+/**
+ * Bring an IVF index up to date with the vectors it covers.
+ * Unassigned vectors (assignment -1) are added to their nearest list; the index is
+ * retrained when the collection has grown or shrunk 4× since training, and dropped
+ * below ANN_MIN_CHUNKS where an exact scan is fast enough.
+ */
+export function updateIvf(ann, vectors) {
+  if (vectors.length < ANN_MIN_CHUNKS) return null;
+  if (!ann || vectors.length > ann.trained_count * 4 || vectors.length < ann.trained_count / 4) {
+    return trainIvf(vectors);
+  }
+  const assignments = vectors.map((v, i) => {
+    const a = ann.assignments[i] ?? -1;
+    return a >= 0 ? a : nearestCentroid(ann.centroids, v);
+  });
+  return { ...ann, assignments, lists: invertedLists(ann.centroids.length, assignments) };
+}
+
+/**
+ * Search an IVF index. Returns [{ i, similarity }] for the best topK candidates
+ * found in the `probes` nearest lists, scored with `score(vectorIndex)`.
+ * Vectors rejected by `allowed(vectorIndex)` are skipped.
+ */
+export function searchIvf(ann, query, score, { topK, probes = DEFAULT_PROBES, allowed }) {
+  const q = normalize(query);
+  const lists = ann.centroids
+    .map((c, l) => ({ l, score: dot(c, q) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, probes)
+    .map(({ l }) => l);
+
+  const hits = [];
+  for (const l of lists) {
+    for (const i of ann.lists[l]) {
+      if (!allowed || allowed(i)) hits.push({ i, similarity: score(i) });
+    }
+  }
+  return hits.sort((a, b) => b.similarity - a.similarity || a.i - b.i).slice(0, topK);
+}
+
+/**
+ * Write an IVF index to its sidecar. Returns the manifest entry describing it.
+ */
+export async function writeIvf(filePath, ann) {
+  const { buffer: centroids, dimension } = encodeVectors(ann.centroids, "float32");
+  const assignments = Buffer.from(Int32Array.from(ann.assignments).buffer);
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, Buffer.concat([centroids, assignments]));
+  await fs.rename(tmpPath, filePath);
+  return {
+    type: "ivf",
+    file: path.basename(filePath),
+    nlist: ann.centroids.length,
+    dimension,
+    count: ann.assignments.length,
+    trained_count: ann.trained_count,
+  };
+}
+
+/**
+ * Read an IVF index described by a manifest entry
+ */
+export async function readIvf(filePath, manifest) {
+  const buffer = await fs.readFile(filePath);
+  const centroidBytes = manifest.nlist * manifest.dimension * 4;
+  if (buffer.length !== centroidBytes + manifest.count * 4) {
+    throw new Error(`ANN file ${filePath} does not match its manifest`);
+  }
+  const aligned = buffer.byteOffset % 4 === 0 ? buffer : Buffer.from(buffer);
+  const assignments = Array.from(new Int32Array(aligned.buffer, aligned.byteOffset + centroidBytes, manifest.count));
+  return {
+    type: "ivf",
+    centroids: decodeVectors(aligned.subarray(0, centroidBytes), { dtype: "float32", dimension: manifest.dimension, count: manifest.nlist }),
+    assignments,
+    lists: invertedLists(manifest.nlist, assignments),
+    trained_count: manifest.trained_count,
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Batch job manifests
+ * A job records the files a batch run covers and each file's status and result, so an
+ * interrupted or partly failed run can be resumed. Manifests are JSON files in
+ * <output dir>/jobs/<job id>.json, rewritten after every file.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` calls in flight.
+ * Stops starting new items once shouldStop() returns true.
+ */
+export async function runPool(items, concurrency, worker, { shouldStop = () => false } = {}) {
+  let next = 0;
+  const runner = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  const size = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: size }, runner));
+}
+
+/**
+ * Directory holding the manifests for an output directory
+ */
+export function jobsDir(outputPath) {
+  return path.join(outputPath, "jobs");
+}
+
+/**
+ * A batch job backed by its manifest file. Files move from "pending" to "done" or "failed".
+ */
+export class BatchJob {
+  constructor(manifestPath, data) {
+    this.manifestPath = manifestPath;
+    this.data = data;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Start a new job over `files` ([{ name, path }]) and write its manifest
+   */
+  static async create(outputPath, { command, options, modelId, files }) {
+    const id = `${command}-${Date.now()}`;
+    const now = new Date().toISOString();
+    const job = new BatchJob(path.join(jobsDir(outputPath), `${id}.json`), {
+      id,
+      command,
+      options,
+      model_id: modelId,
+      status: "running",
+      created: now,
+      updated: now,
+      elapsed: 0,
+      files: files.map(f => ({ name: f.name, path: f.path, status: "pending", attempts: 0 })),
+    });
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Load a job by id (looked up in the output directory's jobs/) or by manifest path
+   */
+  static async load(outputPath, idOrPath) {
+    const manifestPath = idOrPath.endsWith(".json")
+      ? path.resolve(idOrPath)
+      : path.join(jobsDir(outputPath), `${idOrPath}.json`);
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(manifestPath, "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT") throw new Error(`Job not found: ${idOrPath} (looked for ${manifestPath})`);
+      throw new Error(`Invalid job manifest ${manifestPath}: ${err.message}`);
+    }
+    if (!Array.isArray(data.files)) throw new Error(`Invalid job manifest ${manifestPath}: missing files`);
+    return new BatchJob(manifestPath, data);
+  }
+
+  get id() {
+    return this.data.id;
+  }
+
+  /**
+   * Files still to process: pending ones, and failed ones when they are being retried
+   */
+  remaining() {
+    return this.data.files.filter(f => f.status !== "done");
+  }
+
+  counts() {
+    const counts = { done: 0, failed: 0, pending: 0 };
+    for (const file of this.data.files) counts[file.status]++;
+    return counts;
+  }
+
+  /**
+   * Record the outcome of one file and persist the manifest
+   */
+  async record(file, { result, error }) {
+    file.attempts++;
+    if (error) {
+      Object.assign(file, { status: "failed", error });
+      delete file.result;
+    } else {
+      Object.assign(file, { status: "done", result });
+      delete file.error;
+    }
+    return this.save();
+  }
+
+  /**
+   * Add a run's wall time and set the final status: "completed", or "incomplete" while
+   * files are pending or failed
+   */
+  async finish(elapsedSeconds) {
+    this.data.elapsed += elapsedSeconds;
+    const { failed, pending } = this.counts();
+    this.data.status = failed || pending ? "incomplete" : "completed";
+    return this.save();
+  }
+
+  /**
+   * Write the manifest atomically. Saves are serialized, so concurrent workers can call this.
+   */
+  save() {
+    // A failed write is reported to its caller but does not block later saves
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      this.data.updated = new Date().toISOString();
+      await fs.mkdir(path.dirname(this.manifestPath), { recursive: true });
+      const tmpPath = `${this.manifestPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+      await fs.rename(tmpPath, this.manifestPath);
+    });
+    return this.saving;
+  }
+}
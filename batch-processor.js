@@ -1,52 +1,61 @@
 #!/usr/bin/env node
 /**
  * watsonx Batch Document Processor
- * Process multiple documents from external drive with watsonx.ai
+ * Process multiple documents from the configured documents directory with watsonx.ai
  */
 
-import { WatsonXAI } from "@ibm-cloud/watsonx-ai";
-import { IamAuthenticator } from "ibm-cloud-sdk-core";
 import fs from "fs/promises";
 import path from "path";
-
-// Configuration
-const WATSONX_API_KEY = process.env.WATSONX_API_KEY;
-const WATSONX_URL = process.env.WATSONX_URL || "https://us-south.ml.cloud.ibm.com";
-const WATSONX_SPACE_ID = process.env.WATSONX_SPACE_ID;
+import { getConfig, requireSetting, requireWatsonx } from "./config.js";
+import { BatchJob, runPool } from "./batch-jobs.js";
+import { exportReport, generatePipelineReport, generateReport, loadResults, parseFormats } from "./batch-report.js";
+import { embedTexts } from "./embedding-index.js";
+import { extractText, findDocuments, readDocument } from "./ingest.js";
+import { loadPipeline, runPipeline } from "./pipeline.js";
+import { generateStructured } from "./structured-output.js";
+import { analyzeThemes } from "./topics.js";
+import { getScope, getWatsonxClient } from "./watsonx-client.js";
+
+// Configuration (config file, environment or flags; see config.js)
+const config = getConfig();
+const MODEL_ID = config.models.generation;
 
 // Paths
-const EXTERNAL_DRIVE = "/Volumes/Virtual Server/_NEW";
-const DOCUMENTS_PATH = `${EXTERNAL_DRIVE}/Documents`;
-const OUTPUT_PATH = "/Users/matthewkarsten/watsonx-mcp-server/batch-results";
-
-let client = null;
-
-function getClient() {
-  if (!client && WATSONX_API_KEY) {
-    client = WatsonXAI.newInstance({
-      version: "2024-05-31",
-      serviceUrl: WATSONX_URL,
-      authenticator: new IamAuthenticator({
-        apikey: WATSONX_API_KEY,
-      }),
-    });
-  }
-  return client;
-}
+const DOCUMENTS_PATH = config.paths.documents;
+const OUTPUT_PATH = config.paths.output;
+
+// Files processed at once (--concurrency)
+const DEFAULT_CONCURRENCY = 4;
+
+const CATEGORIES = ["technical", "business", "creative", "personal", "code", "legal", "marketing", "educational", "other"];
+
+// How documents are analyzed (--extraction): one JSON call, or one call per field
+const EXTRACTION_MODES = ["structured", "separate"];
+const DEFAULT_EXTRACTION = "structured";
+
+// What each command runs, and the prefix of the results file it writes
+const COMMANDS = {
+  classify: { options: { classify: true }, output: "classify" },
+  topics: { options: { topics: true }, output: "topics" },
+  summarize: { options: { summarize: true }, output: "summaries" },
+  full: { options: { classify: true, topics: true, summarize: true }, output: "full-analysis" },
+  // run <pipeline file>: options.pipeline holds the pipeline definition (see pipeline.js)
+  run: { output: "pipeline" },
+};
 
 /**
  * Classify a document
  */
 async function classifyDocument(text) {
-  const watsonx = getClient();
+  const watsonx = getWatsonxClient();
   const truncated = text.substring(0, 2000);
 
   const response = await watsonx.generateText({
-    modelId: "ibm/granite-3-3-8b-instruct",
-    spaceId: WATSONX_SPACE_ID,
+    modelId: MODEL_ID,
+    ...getScope(config),
     input: `Classify this document into exactly one category. Reply with ONLY the category name, nothing else.
 
-Categories: technical, business, creative, personal, code, legal, marketing, educational, other
+Categories: ${CATEGORIES.join(", ")}
 
 Document:
 ${truncated}
@@ -62,20 +71,19 @@ Category:`,
   const raw = response.result.results?.[0]?.generated_text?.trim().toLowerCase() || "other";
   // Extract just the first word
   const category = raw.split(/\s+/)[0].replace(/[^a-z]/g, '');
-  const validCategories = ['technical', 'business', 'creative', 'personal', 'code', 'legal', 'marketing', 'educational', 'other'];
-  return validCategories.includes(category) ? category : 'other';
+  return CATEGORIES.includes(category) ? category : 'other';
 }
 
 /**
  * Extract key topics from a document
  */
 async function extractTopics(text) {
-  const watsonx = getClient();
+  const watsonx = getWatsonxClient();
   const truncated = text.substring(0, 2000);
 
   const response = await watsonx.generateText({
-    modelId: "ibm/granite-3-3-8b-instruct",
-    spaceId: WATSONX_SPACE_ID,
+    modelId: MODEL_ID,
+    ...getScope(config),
     input: `Extract 3-5 key topics from this document. Return only a comma-separated list.
 
 Document:
@@ -96,12 +104,12 @@ Topics:`,
  * Generate a one-line summary
  */
 async function generateOneliner(text) {
-  const watsonx = getClient();
+  const watsonx = getWatsonxClient();
   const truncated = text.substring(0, 2000);
 
   const response = await watsonx.generateText({
-    modelId: "ibm/granite-3-3-8b-instruct",
-    spaceId: WATSONX_SPACE_ID,
+    modelId: MODEL_ID,
+    ...getScope(config),
     input: `Summarize this document in exactly one sentence (max 20 words).
 
 Document:
@@ -117,167 +125,267 @@ One-line summary:`,
   return response.result.results?.[0]?.generated_text?.trim() || "";
 }
 
+// Field returned by structured extraction for each analysis option
+const EXTRACTION_FIELDS = { classify: "category", topics: "topics", summarize: "summary" };
+
+const FIELD_INSTRUCTIONS = {
+  category: `"category": exactly one of ${CATEGORIES.join(", ")}`,
+  topics: `"topics": 3-5 key topics, as an array of short strings`,
+  summary: `"summary": a one-sentence summary (max 20 words)`,
+  confidence: `"confidence": how confident you are in this analysis, from 0 to 1`,
+};
+
 /**
- * Process a batch of documents
+ * JSON Schema for a structured extraction of the given fields (confidence is always asked for)
  */
-async function processBatch(files, options = {}) {
-  const results = [];
-  const startTime = Date.now();
+function extractionSchema(fields) {
+  const properties = {
+    category: { type: "string", enum: CATEGORIES },
+    topics: { type: "array", items: { type: "string", minLength: 1 }, minItems: 1, maxItems: 5 },
+    summary: { type: "string", minLength: 1, maxLength: 300 },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+  };
+  return {
+    type: "object",
+    properties: Object.fromEntries(fields.map(f => [f, properties[f]])),
+    required: fields,
+    additionalProperties: false,
+  };
+}
 
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i];
-    console.log(`   [${i + 1}/${files.length}] Processing: ${file.name}`);
+/**
+ * Fix common near-misses before validation: unknown keys, "Technical", topics as a
+ * comma-separated string, confidence as "85%" or 85
+ */
+function repairExtraction(value, fields) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+  const repaired = Object.fromEntries(Object.entries(value).filter(([key]) => fields.includes(key)));
+  if (typeof repaired.category === "string") {
+    repaired.category = repaired.category.trim().toLowerCase();
+  }
+  if (typeof repaired.topics === "string") repaired.topics = repaired.topics.split(",");
+  if (Array.isArray(repaired.topics)) {
+    repaired.topics = repaired.topics
+      .map(t => (typeof t === "string" ? t.trim() : t))
+      .filter(t => t !== "")
+      .slice(0, 5);
+  }
+  if (typeof repaired.summary === "string") repaired.summary = repaired.summary.trim();
+  if (typeof repaired.confidence === "string") repaired.confidence = parseFloat(repaired.confidence);
+  if (typeof repaired.confidence === "number" && repaired.confidence > 1 && repaired.confidence <= 100) {
+    repaired.confidence /= 100;
+  }
+  return repaired;
+}
 
-    try {
-      const content = await fs.readFile(file.path, "utf-8");
+/**
+ * Classify, extract topics and summarize in a single call that returns a JSON object.
+ * The object is validated against extractionSchema; invalid output is repaired or retried.
+ */
+async function extractStructured(text, options) {
+  const fields = [
+    ...Object.entries(EXTRACTION_FIELDS).filter(([option]) => options[option]).map(([, field]) => field),
+    "confidence",
+  ];
+  const truncated = text.substring(0, 2000);
 
-      const result = {
-        filename: file.name,
-        path: file.path,
-        size: content.length,
-        processed_at: new Date().toISOString(),
-      };
+  const { value } = await generateStructured(getWatsonxClient(), {
+    modelId: MODEL_ID,
+    scope: getScope(config),
+    prompt: `Analyze this document. Reply with ONLY a JSON object with these fields:
+${fields.map(f => `- ${FIELD_INSTRUCTIONS[f]}`).join("\n")}
 
-      if (options.classify) {
-        result.category = await classifyDocument(content);
-      }
+Document:
+${truncated}
 
-      if (options.topics) {
-        result.topics = await extractTopics(content);
-      }
+JSON:`,
+    schema: extractionSchema(fields),
+    repair: value => repairExtraction(value, fields),
+    parameters: { max_new_tokens: 300 },
+  });
+  return value;
+}
 
-      if (options.summarize) {
-        result.summary = await generateOneliner(content);
-      }
+/**
+ * Read one document and run the requested analyses on it: a pipeline's steps, one structured
+ * call, or separate classify/topics/summary calls made concurrently
+ */
+async function processFile(file, options) {
+  const { text: content, format, language } = await readDocument(file.path);
+
+  const result = {
+    filename: file.name,
+    path: file.path,
+    format,
+    size: content.length,
+    processed_at: new Date().toISOString(),
+  };
 
-      results.push(result);
-    } catch (err) {
-      results.push({
-        filename: file.name,
-        error: err.message,
-      });
-    }
+  if (options.pipeline) {
+    const outputs = await runPipeline(options.pipeline, { text: content, filename: file.name, format, language }, {
+      client: getWatsonxClient(),
+      scope: getScope(config),
+      modelId: MODEL_ID,
+    });
+    return { ...result, ...outputs };
   }
 
-  const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-  return { results, elapsed, count: results.length };
+  if ((options.extraction || DEFAULT_EXTRACTION) === "structured") {
+    return { ...result, ...(await extractStructured(content, options)) };
+  }
+
+  const [category, topics, summary] = await Promise.all([
+    options.classify ? classifyDocument(content) : undefined,
+    options.topics ? extractTopics(content) : undefined,
+    options.summarize ? generateOneliner(content) : undefined,
+  ]);
+  if (options.classify) result.category = category;
+  if (options.topics) result.topics = topics;
+  if (options.summarize) result.summary = summary;
+  return result;
 }
 
 /**
- * Generate batch report
+ * Results of a job so far: one entry per processed file, failures as { filename, error }
  */
-function generateReport(batchResults) {
-  const { results, elapsed, count } = batchResults;
-
-  // Category distribution
-  const categories = {};
-  results.forEach(r => {
-    if (r.category) {
-      categories[r.category] = (categories[r.category] || 0) + 1;
-    }
-  });
+function jobResults(job) {
+  const results = job.data.files
+    .filter(f => f.status !== "pending")
+    .map(f => (f.status === "done" ? f.result : { filename: f.name, path: f.path, error: f.error }));
+  return { job: job.id, results, elapsed: job.data.elapsed.toFixed(2), count: results.length };
+}
 
-  // All topics
-  const allTopics = {};
-  results.forEach(r => {
-    (r.topics || []).forEach(t => {
-      allTopics[t] = (allTopics[t] || 0) + 1;
-    });
-  });
+/**
+ * Process the job's remaining files with up to `concurrency` files in flight, recording each
+ * outcome in the job manifest. Ctrl-C stops starting new files; a second Ctrl-C exits at once.
+ */
+async function processBatch(job, { concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const files = job.remaining();
+  const total = job.data.files.length;
+  let started = total - files.length;
+  let interrupted = false;
+  const onInterrupt = () => {
+    interrupted = true;
+    console.log("\n⏸️  Interrupted: finishing files in progress (Ctrl-C again to exit now)");
+  };
+  process.once("SIGINT", onInterrupt);
 
-  const topTopics = Object.entries(allTopics)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
+  job.data.status = "running";
+  const startTime = Date.now();
+  try {
+    await runPool(files, concurrency, async file => {
+      console.log(`   [${++started}/${total}] Processing: ${file.name}`);
+      try {
+        await job.record(file, { result: await processFile(file, job.data.options) });
+      } catch (err) {
+        await job.record(file, { error: err.message });
+      }
+    }, { shouldStop: () => interrupted });
+  } finally {
+    process.off("SIGINT", onInterrupt);
+    await job.finish((Date.now() - startTime) / 1000);
+  }
 
-  return {
-    summary: {
-      total_documents: count,
-      processing_time: `${elapsed}s`,
-      avg_time_per_doc: `${(elapsed / count).toFixed(2)}s`,
-    },
-    category_distribution: categories,
-    top_topics: topTopics.map(([topic, count]) => ({ topic, count })),
-    documents: results,
-  };
+  return { ...jobResults(job), interrupted };
 }
 
 /**
- * Read documents from a directory
+ * Merge near-duplicate topics by embedding similarity and cluster the documents into labelled
+ * themes (see topics.js). Documents without a summary or topics are embedded from their text.
+ * On failure the report is returned unchanged, with a warning.
  */
-async function getDocuments(dir, pattern = ".txt", limit = 20) {
-  const files = await fs.readdir(dir);
-  const matching = files.filter(f => f.endsWith(pattern)).slice(0, limit);
-  return matching.map(name => ({
-    name,
-    path: `${dir}/${name}`,
-  }));
+async function addThemes(report, { clusters, mergeThreshold } = {}) {
+  const watsonx = getWatsonxClient();
+  try {
+    return await analyzeThemes(report, {
+      embed: texts => embedTexts(texts),
+      generate: async prompt => {
+        const response = await watsonx.generateText({
+          modelId: MODEL_ID,
+          ...getScope(config),
+          input: prompt,
+          parameters: { max_new_tokens: 15, temperature: 0.2, stop_sequences: ["\n"] },
+        });
+        return response.result.results?.[0]?.generated_text?.trim() || "";
+      },
+      readText: doc => (doc.path ? extractText(doc.path).then(text => text.slice(0, 1000), () => "") : ""),
+      threshold: mergeThreshold,
+      count: clusters,
+    });
+  } catch (err) {
+    console.error(`⚠️  Topic merging and themes skipped: ${err.message}`);
+    return report;
+  }
 }
 
-// Main
-async function main() {
-  const command = process.argv[2];
-  const arg = process.argv[3];
+function printThemes(report) {
+  if (!report.themes?.length) return;
+  console.log(`\n🧭 Themes:`);
+  report.themes.forEach(({ label, size, keywords }) => {
+    console.log(`   ${label}: ${size}${keywords.length ? ` (${keywords.join(", ")})` : ""}`);
+  });
+}
 
-  console.log("╔══════════════════════════════════════════════════════════════╗");
-  console.log("║           watsonx Batch Document Processor                   ║");
-  console.log("║           Powered by IBM Granite 3.3                         ║");
-  console.log("╚══════════════════════════════════════════════════════════════╝");
-  console.log("");
+/**
+ * Find up to `limit` documents under a directory (recursive; every format ingest.js reads)
+ */
+async function getDocuments(dir, { include, exclude, limit = 20 } = {}) {
+  return findDocuments(dir, { include, exclude, maxDocs: limit });
+}
 
-  if (!WATSONX_API_KEY || !WATSONX_SPACE_ID) {
-    console.error("Error: WATSONX_API_KEY and WATSONX_SPACE_ID must be set");
-    process.exit(1);
+/**
+ * Run a job's remaining files, print the command's report and save it to the output directory
+ * as JSON plus any extra `formats`. Reports of the built-in commands (except summarize) also get
+ * canonical topics and themes unless `themes.enabled` is false.
+ */
+async function runJob(job, { concurrency, formats, themes }) {
+  const { command } = job.data;
+  console.log(`🗂️  Job ${job.id}: ${job.remaining().length} of ${job.data.files.length} files to process (concurrency ${concurrency})\n`);
+
+  const { interrupted, ...batch } = await processBatch(job, { concurrency });
+  const { failed, pending } = job.counts();
+  if (interrupted && pending) {
+    console.log(`\n⏸️  Stopped with ${pending} files pending. Resume with: batch-processor.js resume ${job.id}`);
+    process.exitCode = 130;
+    return;
   }
 
-  // Ensure output directory exists
-  await fs.mkdir(OUTPUT_PATH, { recursive: true });
-
+  const { pipeline } = job.data.options;
+  let report = pipeline
+    ? generatePipelineReport(batch, pipeline)
+    : command === "summarize" ? batch : generateReport(batch);
+  if (!pipeline && command !== "summarize" && themes.enabled && batch.results.some(r => !r.error)) {
+    console.log("\n🧭 Merging topics and finding themes...");
+    report = await addThemes(report, themes);
+  }
   switch (command) {
-    case "classify": {
-      const count = parseInt(arg) || 10;
-      console.log(`📋 Classifying ${count} documents...\n`);
-
-      const docs = await getDocuments(DOCUMENTS_PATH, ".txt", count);
-      const batch = await processBatch(docs, { classify: true });
-      const report = generateReport(batch);
+    case "run":
+      console.log(`\n📊 Pipeline ${pipeline.name}: ${report.summary.total_documents} documents`);
+      Object.entries(report.distributions).forEach(([field, distribution]) => {
+        console.log(`\n   ${field}:`);
+        Object.entries(distribution).forEach(([value, cnt]) => console.log(`      ${value}: ${cnt}`));
+      });
+      Object.entries(report.top_values).forEach(([field, values]) => {
+        console.log(`\n   ${field} (top ${values.length}):`);
+        values.forEach(({ value, count }, i) => console.log(`      ${i + 1}. ${value} (${count})`));
+      });
+      break;
 
+    case "classify":
       console.log("\n📊 Category Distribution:");
       Object.entries(report.category_distribution).forEach(([cat, cnt]) => {
         console.log(`   ${cat}: ${cnt}`);
       });
-
-      const outFile = `${OUTPUT_PATH}/classify-${Date.now()}.json`;
-      await fs.writeFile(outFile, JSON.stringify(report, null, 2));
-      console.log(`\n✅ Results saved to: ${outFile}`);
       break;
-    }
-
-    case "topics": {
-      const count = parseInt(arg) || 10;
-      console.log(`🏷️  Extracting topics from ${count} documents...\n`);
-
-      const docs = await getDocuments(DOCUMENTS_PATH, ".txt", count);
-      const batch = await processBatch(docs, { topics: true });
-      const report = generateReport(batch);
 
+    case "topics":
       console.log("\n📊 Top Topics:");
       report.top_topics.forEach(({ topic, count }, i) => {
         console.log(`   ${i + 1}. ${topic} (${count})`);
       });
-
-      const outFile = `${OUTPUT_PATH}/topics-${Date.now()}.json`;
-      await fs.writeFile(outFile, JSON.stringify(report, null, 2));
-      console.log(`\n✅ Results saved to: ${outFile}`);
       break;
-    }
-
-    case "summarize": {
-      const count = parseInt(arg) || 10;
-      console.log(`📝 Summarizing ${count} documents...\n`);
-
-      const docs = await getDocuments(DOCUMENTS_PATH, ".txt", count);
-      const batch = await processBatch(docs, { summarize: true });
 
+    case "summarize":
       console.log("\n📋 Summaries:");
       batch.results.forEach(r => {
         if (r.summary) {
@@ -285,21 +393,9 @@ async function main() {
           console.log(`      ${r.summary}\n`);
         }
       });
-
-      const outFile = `${OUTPUT_PATH}/summaries-${Date.now()}.json`;
-      await fs.writeFile(outFile, JSON.stringify(batch, null, 2));
-      console.log(`✅ Results saved to: ${outFile}`);
       break;
-    }
-
-    case "full": {
-      const count = parseInt(arg) || 10;
-      console.log(`🔬 Full analysis of ${count} documents...\n`);
-
-      const docs = await getDocuments(DOCUMENTS_PATH, ".txt", count);
-      const batch = await processBatch(docs, { classify: true, topics: true, summarize: true });
-      const report = generateReport(batch);
 
+    case "full":
       console.log("\n" + "═".repeat(60));
       console.log("📊 BATCH ANALYSIS REPORT");
       console.log("═".repeat(60));
@@ -319,27 +415,187 @@ async function main() {
       report.top_topics.slice(0, 5).forEach(({ topic, count }, i) => {
         console.log(`   ${i + 1}. ${topic} (${count})`);
       });
-
-      const outFile = `${OUTPUT_PATH}/full-analysis-${Date.now()}.json`;
-      await fs.writeFile(outFile, JSON.stringify(report, null, 2));
-      console.log(`\n✅ Full report saved to: ${outFile}`);
       break;
+  }
+
+  printThemes(report);
+
+  const prefix = pipeline ? `${COMMANDS[command].output}-${pipeline.name}` : COMMANDS[command].output;
+  const basePath = `${OUTPUT_PATH}/${prefix}-${Date.now()}`;
+  await fs.writeFile(`${basePath}.json`, JSON.stringify(report, null, 2));
+  console.log(`\n✅ Results saved to: ${basePath}.json`);
+  if (formats.length) {
+    const exported = await exportReport(await loadResults(`${basePath}.json`), basePath, formats);
+    exported.forEach(file => console.log(`   Exported: ${file}`));
+  }
+  if (failed) {
+    console.log(`⚠️  ${failed} files failed. Retry them with: batch-processor.js resume ${job.id}`);
+  }
+}
+
+/**
+ * Value of a command-line flag (`--name value`)
+ */
+function flag(name) {
+  const at = process.argv.indexOf(name);
+  return at > 0 ? process.argv[at + 1] : undefined;
+}
+
+// Main
+async function main() {
+  const command = process.argv[2];
+  const arg = process.argv[3];
+  // --include / --exclude take comma-separated globs relative to the documents directory
+  const globs = {
+    include: flag("--include")?.split(","),
+    exclude: flag("--exclude")?.split(","),
+  };
+  const extraction = flag("--extraction") || DEFAULT_EXTRACTION;
+  const format = flag("--format");
+  const themes = {
+    enabled: !process.argv.includes("--no-themes"),
+    clusters: flag("--clusters") === undefined ? undefined : Number(flag("--clusters")),
+    mergeThreshold: flag("--merge-threshold") === undefined ? undefined : Number(flag("--merge-threshold")),
+  };
+  const concurrency = flag("--concurrency") === undefined ? DEFAULT_CONCURRENCY : Number(flag("--concurrency"));
+
+  console.log("╔══════════════════════════════════════════════════════════════╗");
+  console.log("║           watsonx Batch Document Processor                   ║");
+  console.log("║           Powered by IBM Granite 3.3                         ║");
+  console.log("╚══════════════════════════════════════════════════════════════╝");
+  console.log("");
+
+  if ((!COMMANDS[command] && !["resume", "report"].includes(command)) || (!COMMANDS[command]?.options && !arg)) {
+    printUsage();
+    return;
+  }
+
+  // report needs no watsonx.ai access: it re-exports an existing results file
+  if (command === "report") {
+    try {
+      checkThemeFlags(themes);
+      const formats = parseFormats(format || "all");
+      let report = await loadResults(path.resolve(arg));
+      if (process.argv.includes("--themes")) {
+        requireWatsonx(config);
+        console.log("🧭 Merging topics and finding themes...");
+        report = await addThemes(report, themes);
+        printThemes(report);
+        console.log("");
+      }
+      const basePath = path.resolve(arg).replace(/\.json$/i, "");
+      console.log(`📄 ${report.documents.length} documents from ${arg}\n`);
+      const exported = await exportReport(report, basePath, formats);
+      exported.forEach(file => console.log(`✅ ${file}`));
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  let job;
+  let formats = [];
+  let options = { ...COMMANDS[command]?.options, extraction };
+  try {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`--concurrency must be a positive integer, got "${flag("--concurrency")}"`);
+    }
+    if (format) formats = parseFormats(format);
+    checkThemeFlags(themes);
+    if (!EXTRACTION_MODES.includes(extraction)) {
+      throw new Error(`--extraction must be one of ${EXTRACTION_MODES.join(", ")}, got "${extraction}"`);
     }
+    requireWatsonx(config);
+    if (command === "resume") {
+      job = await BatchJob.load(OUTPUT_PATH, arg);
+    } else {
+      requireSetting(config, "paths.documents");
+    }
+    if (command === "run") options = { pipeline: await loadPipeline(arg) };
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  // Ensure output directory exists
+  await fs.mkdir(OUTPUT_PATH, { recursive: true });
+
+  if (command === "resume") {
+    const { done, failed, pending } = job.counts();
+    console.log(`🔁 Resuming ${job.data.command} job ${job.id}: ${done} done, ${failed} failed, ${pending} pending\n`);
+  } else {
+    const count = parseInt(command === "run" ? process.argv[4] : arg) || 10;
+    const labels = {
+      classify: `📋 Classifying ${count} documents...`,
+      topics: `🏷️  Extracting topics from ${count} documents...`,
+      summarize: `📝 Summarizing ${count} documents...`,
+      full: `🔬 Full analysis of ${count} documents...`,
+      run: `⚙️  Running pipeline ${options.pipeline?.name} (${options.pipeline?.steps.length} steps) on ${count} documents...`,
+    };
+    console.log(`${labels[command]}\n`);
+
+    const docs = await getDocuments(DOCUMENTS_PATH, { ...globs, limit: count });
+    job = await BatchJob.create(OUTPUT_PATH, {
+      command,
+      options,
+      modelId: MODEL_ID,
+      files: docs,
+    });
+  }
 
-    default:
-      console.log("Usage: batch-processor.js <command> [count]");
-      console.log("");
-      console.log("Commands:");
-      console.log("  classify [n]   - Classify n documents into categories");
-      console.log("  topics [n]     - Extract topics from n documents");
-      console.log("  summarize [n]  - Generate one-line summaries for n docs");
-      console.log("  full [n]       - Full analysis (classify + topics + summary)");
-      console.log("");
-      console.log("Examples:");
-      console.log("  batch-processor.js classify 20");
-      console.log("  batch-processor.js topics 15");
-      console.log("  batch-processor.js full 10");
+  await runJob(job, { concurrency, formats, themes });
+}
+
+function checkThemeFlags({ clusters, mergeThreshold }) {
+  if (clusters !== undefined && (!Number.isInteger(clusters) || clusters < 1)) {
+    throw new Error(`--clusters must be a positive integer, got "${flag("--clusters")}"`);
+  }
+  if (mergeThreshold !== undefined && !(mergeThreshold > 0 && mergeThreshold <= 1)) {
+    throw new Error(`--merge-threshold must be between 0 and 1, got "${flag("--merge-threshold")}"`);
   }
 }
 
+function printUsage() {
+  console.log("Usage: batch-processor.js <command> [count] [--concurrency <n>] [--extraction structured|separate]");
+  console.log("                          [--format csv,jsonl,md,html|all] [--include <globs>] [--exclude <globs>]");
+  console.log("                          [--no-themes] [--clusters <k>] [--merge-threshold <0-1>]");
+  console.log("");
+  console.log("Commands:");
+  console.log("  classify [n]   - Classify n documents into categories");
+  console.log("  topics [n]     - Extract topics from n documents");
+  console.log("  summarize [n]  - Generate one-line summaries for n docs");
+  console.log("  full [n]       - Full analysis (classify + topics + summary)");
+  console.log("  run <pipeline> [n] - Run the steps of a YAML/JSON pipeline file (see pipeline.js)");
+  console.log("  resume <job>   - Continue a job: skip completed files, retry failed ones");
+  console.log("  report <results.json> - Export a results file as CSV, JSONL, Markdown and/or HTML");
+  console.log("                          (--themes also merges topics and finds themes, using watsonx.ai)");
+  console.log("");
+  console.log("Documents are found recursively: txt, md, html, json, pdf, docx and source code.");
+  console.log(`Up to --concurrency files (default ${DEFAULT_CONCURRENCY}) are processed at once.`);
+  console.log("--extraction structured (default) asks for category, topics, summary and confidence as one");
+  console.log("JSON object validated against a schema; separate makes one call per field.");
+  console.log("--format also exports the results (report defaults to all formats), next to the JSON file.");
+  console.log("classify, topics and full reports merge near-duplicate topics (case, plurals and embedding");
+  console.log("similarity >= --merge-threshold, default 0.9) and cluster documents into --clusters labelled");
+  console.log("themes (default about sqrt(n/2)); --no-themes skips both embedding steps.");
+  console.log("Each run records per-file progress in a job manifest (paths.output/jobs/<job>.json);");
+  console.log("<job> is the job id printed at the start of a run, or the manifest path.");
+  console.log("");
+  console.log("Examples:");
+  console.log("  batch-processor.js classify 20");
+  console.log("  batch-processor.js topics 15");
+  console.log("  batch-processor.js full 10 --concurrency 8");
+  console.log("  batch-processor.js full 10 --extraction separate");
+  console.log("  batch-processor.js run pipelines/language-pii.yaml 25");
+  console.log("  batch-processor.js classify 50 --include '**/*.pdf,**/*.docx' --exclude 'archive/**'");
+  console.log("  batch-processor.js resume full-1767225600000");
+  console.log("  batch-processor.js full 50 --format html,csv");
+  console.log("  batch-processor.js report batch-results/full-analysis-1765765676586.json --format md");
+  console.log("  batch-processor.js report batch-results/full-analysis-1765765676586.json --themes --clusters 3");
+  console.log("");
+  console.log("Documents are read from paths.documents and results written to paths.output");
+  console.log("(see config.js; override with --documents-path / --output-path).");
+}
+
 main().catch(console.error);
@@ -0,0 +1,337 @@
+/**
+ * Batch reports
+ * Builds the report for a batch run and exports it as CSV or JSONL (one row per document),
+ * or as a self-contained Markdown or HTML report with category charts and topic tables.
+ * Works on any batch-processor.js results file, including ones written by older versions.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { groupTopics, topicTable } from "./topics.js";
+
+export const REPORT_FORMATS = ["csv", "jsonl", "md", "html"];
+
+// Leading CSV / table columns, in this order; any other document fields follow
+const LEADING_COLUMNS = [
+  "filename", "path", "format", "size", "processed_at",
+  "category", "theme", "topics", "canonical_topics", "summary", "confidence",
+];
+
+/**
+ * Count each value of a field across documents (list fields count every item)
+ */
+function tally(documents, field) {
+  const counts = {};
+  documents.forEach(doc => {
+    [].concat(doc[field] ?? []).forEach(value => {
+      const key = typeof value === "object" ? JSON.stringify(value) : value;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+function topEntries(counts, limit = 10) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+}
+
+function timingSummary({ job, elapsed, count }) {
+  return {
+    job,
+    total_documents: count,
+    processing_time: `${elapsed}s`,
+    avg_time_per_doc: `${(elapsed / count).toFixed(2)}s`,
+  };
+}
+
+/**
+ * Generate batch report. Topics are counted per document after case folding and
+ * lemmatization (see topics.js); analyzeThemes adds embedding-based merging and themes.
+ */
+export function generateReport(batchResults) {
+  const { results } = batchResults;
+  return {
+    summary: timingSummary(batchResults),
+    category_distribution: tally(results, "category"),
+    top_topics: topicTable(groupTopics(results.filter(r => !r.error))),
+    documents: results,
+  };
+}
+
+/**
+ * Report for a pipeline run: value counts for enum steps and the most common items of list steps
+ */
+export function generatePipelineReport(batchResults, pipeline) {
+  const { results } = batchResults;
+  const stepsBy = parser => pipeline.steps.filter(s => s.parser === parser).map(s => s.output);
+  return {
+    summary: { ...timingSummary(batchResults), pipeline: pipeline.name },
+    distributions: Object.fromEntries(stepsBy("enum").map(field => [field, tally(results, field)])),
+    top_values: Object.fromEntries(stepsBy("list").map(field => [
+      field,
+      topEntries(tally(results, field)).map(([value, count]) => ({ value, count })),
+    ])),
+    documents: results,
+  };
+}
+
+/**
+ * Read a results file written by any batch-processor.js command: a report ({ summary, documents }),
+ * summarize output ({ results, elapsed, count }) or a plain array of documents.
+ * Missing category tables are rebuilt from the documents, and topics are re-counted so older
+ * files get canonical topics.
+ */
+export async function loadResults(filePath) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error(`Results file not found: ${filePath}`);
+    throw new Error(`Invalid results file ${filePath}: ${err.message}`);
+  }
+  const documents = Array.isArray(data) ? data : data?.documents || data?.results;
+  if (!Array.isArray(documents)) {
+    throw new Error(`Invalid results file ${filePath}: expected "documents" or "results"`);
+  }
+
+  const rebuilt = generateReport({
+    job: data.job,
+    results: documents,
+    elapsed: data.elapsed ?? 0,
+    count: data.count ?? documents.length,
+  });
+  return {
+    summary: data.summary || rebuilt.summary,
+    category_distribution: data.category_distribution || rebuilt.category_distribution,
+    ...(data.themes ? { themes: data.themes } : {}),
+    top_topics: rebuilt.top_topics.length ? rebuilt.top_topics : data.top_topics,
+    distributions: data.distributions,
+    top_values: data.top_values,
+    documents,
+  };
+}
+
+/**
+ * Document fields in report order: the leading columns that occur, then the rest as first seen
+ */
+function columns(documents) {
+  const seen = new Set();
+  documents.forEach(doc => Object.keys(doc).forEach(key => seen.add(key)));
+  return [...LEADING_COLUMNS.filter(c => seen.has(c)), ...[...seen].filter(c => !LEADING_COLUMNS.includes(c))];
+}
+
+/**
+ * A field value as text: lists joined with "; ", objects as JSON
+ */
+function cellText(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.map(v => (typeof v === "object" ? JSON.stringify(v) : v)).join("; ");
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * CSV (RFC 4180) with a header row and one row per document
+ */
+export function toCsv(report) {
+  const header = columns(report.documents);
+  const quote = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text);
+  const rows = [header, ...report.documents.map(doc => header.map(c => cellText(doc[c])))];
+  return rows.map(row => row.map(quote).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * JSON Lines: one document per line
+ */
+export function toJsonl(report) {
+  return report.documents.map(doc => JSON.stringify(doc)).join("\n") + "\n";
+}
+
+/**
+ * The report's charts and tables as { title, rows: [[label, count]], kind }.
+ * kind "chart" is drawn as bars, "table" as a ranked table.
+ */
+function sections(report) {
+  const result = [];
+  if (Object.keys(report.category_distribution || {}).length) {
+    result.push({ title: "Categories", kind: "chart", rows: topEntries(report.category_distribution, Infinity) });
+  }
+  for (const [field, counts] of Object.entries(report.distributions || {})) {
+    result.push({ title: field, kind: "chart", rows: topEntries(counts, Infinity) });
+  }
+  if (report.themes?.length) {
+    result.push({
+      title: "Themes",
+      kind: "chart",
+      rows: report.themes.map(t => [t.keywords?.length ? `${t.label} (${t.keywords.join(", ")})` : t.label, t.size]),
+    });
+  }
+  if (report.top_topics?.length) {
+    const label = t => {
+      const others = (t.variants || []).slice(1);
+      if (!others.length) return t.topic;
+      return `${t.topic} (also: ${others.slice(0, 5).join(", ")}${others.length > 5 ? `, +${others.length - 5} more` : ""})`;
+    };
+    result.push({ title: "Top topics", kind: "table", rows: report.top_topics.map(t => [label(t), t.count]) });
+  }
+  for (const [field, values] of Object.entries(report.top_values || {})) {
+    result.push({ title: `Top ${field}`, kind: "table", rows: values.map(v => [v.value, v.count]) });
+  }
+  return result;
+}
+
+function reportTitle(report) {
+  return report.summary?.pipeline ? `Batch report: ${report.summary.pipeline}` : "Batch report";
+}
+
+function summaryRows(report) {
+  const failed = report.documents.filter(d => d.error).length;
+  return [
+    ...Object.entries(report.summary || {}).filter(([, v]) => v !== undefined).map(([k, v]) => [k.replace(/_/g, " "), v]),
+    ["failed documents", failed],
+  ];
+}
+
+// Document table columns for the Markdown and HTML reports (long fields are left to CSV/JSONL)
+function documentColumns(report) {
+  return columns(report.documents).filter(c => !["path", "processed_at", "size"].includes(c));
+}
+
+/**
+ * Markdown report: summary, category/value charts as text bars, topic tables and documents
+ */
+export function toMarkdown(report) {
+  const cell = value => cellText(value).replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+  const table = (header, rows) => [
+    `| ${header.join(" | ")} |`,
+    `|${header.map(() => "---").join("|")}|`,
+    ...rows.map(row => `| ${row.map(cell).join(" | ")} |`),
+  ];
+  const lines = [
+    `# ${reportTitle(report)}`,
+    "",
+    ...summaryRows(report).map(([label, value]) => `- **${label}:** ${cell(value)}`),
+    "",
+  ];
+
+  for (const { title, kind, rows } of sections(report)) {
+    lines.push(`## ${title}`, "");
+    if (kind === "chart") {
+      const max = Math.max(...rows.map(([, count]) => count));
+      const total = rows.reduce((sum, [, count]) => sum + count, 0);
+      lines.push(...table(["Value", "Count", "Share", ""], rows.map(([label, count]) => [
+        label,
+        count,
+        `${((count / total) * 100).toFixed(1)}%`,
+        "\u2588".repeat(Math.max(1, Math.round((count / max) * 20))),
+      ])));
+    } else {
+      lines.push(...table(["#", "Value", "Count"], rows.map(([label, count], i) => [i + 1, label, count])));
+    }
+    lines.push("");
+  }
+
+  const docColumns = documentColumns(report);
+  lines.push("## Documents", "", ...table(docColumns, report.documents.map(doc => docColumns.map(c => doc[c]))), "");
+  return lines.join("\n");
+}
+
+function escapeHtml(value) {
+  return cellText(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const HTML_STYLE = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #161616; }
+  h1 { font-weight: 400; } h2 { font-weight: 500; margin-top: 2rem; }
+  table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; }
+  th, td { text-align: left; padding: 0.35rem 0.6rem; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+  th { background: #f4f4f4; }
+  .summary td:first-child { color: #525252; width: 14rem; }
+  .chart td.bar { width: 50%; }
+  .chart .fill { background: #0f62fe; height: 0.9rem; min-width: 2px; }
+  td.num { text-align: right; white-space: nowrap; }
+  tr.error td { color: #da1e28; }`;
+
+/**
+ * Self-contained HTML report (inline styles, no scripts): summary, bar charts, topic tables
+ * and the document table
+ */
+export function toHtml(report) {
+  const title = escapeHtml(reportTitle(report));
+  const parts = [
+    "<!DOCTYPE html>",
+    "<html lang=\"en\">",
+    `<head><meta charset="utf-8"><title>${title}</title><style>${HTML_STYLE}\n</style></head>`,
+    "<body>",
+    `<h1>${title}</h1>`,
+    "<table class=\"summary\">",
+    ...summaryRows(report).map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`),
+    "</table>",
+  ];
+
+  for (const { title: sectionTitle, kind, rows } of sections(report)) {
+    parts.push(`<h2>${escapeHtml(sectionTitle)}</h2>`);
+    if (kind === "chart") {
+      const max = Math.max(...rows.map(([, count]) => count));
+      const total = rows.reduce((sum, [, count]) => sum + count, 0);
+      parts.push("<table class=\"chart\">", "<tr><th>Value</th><th>Count</th><th>Share</th><th></th></tr>");
+      for (const [label, count] of rows) {
+        const width = ((count / max) * 100).toFixed(1);
+        parts.push(`<tr><td>${escapeHtml(label)}</td><td class="num">${count}</td><td class="num">${((count / total) * 100).toFixed(1)}%</td>` +
+          `<td class="bar"><div class="fill" style="width: ${width}%"></div></td></tr>`);
+      }
+    } else {
+      parts.push("<table>", "<tr><th>#</th><th>Value</th><th>Count</th></tr>");
+      rows.forEach(([label, count], i) => {
+        parts.push(`<tr><td class="num">${i + 1}</td><td>${escapeHtml(label)}</td><td class="num">${count}</td></tr>`);
+      });
+    }
+    parts.push("</table>");
+  }
+
+  const docColumns = documentColumns(report);
+  parts.push(
+    "<h2>Documents</h2>",
+    "<table>",
+    `<tr>${docColumns.map(c => `<th>${escapeHtml(c)}</th>`).join("")}</tr>`,
+    ...report.documents.map(doc => `<tr${doc.error ? " class=\"error\"" : ""}>${docColumns.map(c => `<td>${escapeHtml(doc[c])}</td>`).join("")}</tr>`),
+    "</table>",
+    "</body>",
+    "</html>",
+    "",
+  );
+  return parts.join("\n");
+}
+
+const EXPORTERS = { csv: toCsv, jsonl: toJsonl, md: toMarkdown, html: toHtml };
+
+/**
+ * Parse a comma-separated --format value ("all" for every format)
+ */
+export function parseFormats(value) {
+  const formats = value === "all" ? REPORT_FORMATS : value.split(",").map(f => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter(f => !REPORT_FORMATS.includes(f));
+  if (unknown.length || formats.length === 0) {
+    throw new Error(`Unknown report format: ${unknown.join(", ") || value}. Use ${REPORT_FORMATS.join(", ")} or all.`);
+  }
+  return [...new Set(formats)];
+}
+
+/**
+ * Write the report in each format next to `basePath` (<basePath>.<format>). Returns the paths.
+ */
+export async function exportReport(report, basePath, formats) {
+  await fs.mkdir(path.dirname(basePath), { recursive: true });
+  const written = [];
+  for (const format of formats) {
+    const filePath = `${basePath}.${format}`;
+    await fs.writeFile(filePath, EXPORTERS[format](report));
+    written.push(filePath);
+  }
+  return written;
+}
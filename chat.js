@@ -0,0 +1,171 @@
+/**
+ * watsonx chat helpers
+ * Native chat API with a text-generation fallback for models without chat support
+ */
+
+import { streamChat, streamGeneration } from "./streaming.js";
+
+const modelSpecs = new Map();
+
+/**
+ * Look up (and cache) the foundation model spec for a model id
+ */
+export async function getModelSpec(client, modelId) {
+  if (!modelSpecs.has(modelId)) {
+    const response = await client.listFoundationModelSpecs({ filters: `modelid_${modelId}`, limit: 1 });
+    modelSpecs.set(modelId, response.result.resources?.[0] || null);
+  }
+  return modelSpecs.get(modelId);
+}
+
+/**
+ * Whether a model supports the chat endpoint. Unknown models (e.g. custom
+ * deployments) or failed lookups are assumed to support it.
+ */
+export async function supportsChat(client, modelId) {
+  try {
+    const spec = await getModelSpec(client, modelId);
+    if (!spec?.functions) return true;
+    return spec.functions.some((f) => f.id === "text_chat");
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Flatten chat messages into a single "Role: content" prompt
+ */
+export function flattenMessages(messages) {
+  return messages
+    .map((m) => {
+      if (m.role === "system") return `System: ${m.content}`;
+      if (m.role === "user") return `User: ${m.content}`;
+      if (m.role === "assistant") return `Assistant: ${m.content}`;
+      if (m.role === "tool") return `Tool: ${m.content}`;
+      return m.content;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Convert MCP tool messages to the shape the watsonx chat API expects
+ */
+function toChatMessages(messages) {
+  return messages.map((m) => {
+    const message = { role: m.role, content: m.content ?? "" };
+    if (m.role === "tool") message.tool_call_id = m.tool_call_id;
+    if (m.role === "assistant" && m.tool_calls?.length) message.tool_calls = m.tool_calls;
+    return message;
+  });
+}
+
+/**
+ * Split an MCP tool_choice value into the chat API's tool_choice_option / tool_choice
+ */
+function toToolChoice(toolChoice) {
+  if (!toolChoice) return {};
+  if (typeof toolChoice === "string") {
+    if (["none", "auto", "required"].includes(toolChoice)) return { toolChoiceOption: toolChoice };
+    // Bare function name
+    return { toolChoice: { type: "function", function: { name: toolChoice } } };
+  }
+  return { toolChoice };
+}
+
+// Map text generation stop reasons onto chat finish reasons
+const STOP_REASONS = {
+  eos_token: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  token_limit: "length",
+  time_limit: "time_limit",
+};
+
+/**
+ * Run a chat completion, optionally offering function tools to the model.
+ * When onDelta is given the response is streamed and onDelta(text) is called
+ * for each new piece of content.
+ * Returns { text, tool_calls, finish_reason, usage, model_id, mode }.
+ */
+export async function chatCompletion(client, {
+  messages,
+  modelId,
+  maxTokens = 500,
+  temperature = 0.7,
+  tools,
+  toolChoice,
+  scope = {},
+  onDelta,
+  signal,
+}) {
+  if (await supportsChat(client, modelId)) {
+    const params = {
+      modelId,
+      messages: toChatMessages(messages),
+      maxTokens,
+      temperature,
+      ...scope,
+    };
+    if (tools?.length) {
+      params.tools = tools;
+      Object.assign(params, toToolChoice(toolChoice));
+    }
+
+    if (onDelta) {
+      const result = await streamChat(client, params, onDelta, signal);
+      return { ...result, text: result.text.trim(), mode: "chat" };
+    }
+
+    const response = await client.textChat(params);
+
+    const choice = response.result.choices?.[0] || {};
+    return {
+      text: choice.message?.content?.trim() || "",
+      tool_calls: choice.message?.tool_calls || [],
+      finish_reason: choice.finish_reason,
+      usage: response.result.usage,
+      model_id: response.result.model_id || modelId,
+      mode: "chat",
+    };
+  }
+
+  if (tools?.length) {
+    throw new Error(`Model ${modelId} does not support the chat API, so tool calling is unavailable`);
+  }
+
+  const params = {
+    input: flattenMessages(messages) + "\n\nAssistant:",
+    modelId,
+    parameters: {
+      max_new_tokens: maxTokens,
+      temperature,
+      stop_sequences: ["User:", "System:"],
+    },
+    ...scope,
+  };
+
+  let result;
+  let resultModelId = modelId;
+  if (onDelta) {
+    result = await streamGeneration(client, params, onDelta, signal);
+  } else {
+    const response = await client.generateText(params);
+    result = { ...response.result.results?.[0], text: response.result.results?.[0]?.generated_text };
+    resultModelId = response.result.model_id || modelId;
+  }
+
+  const promptTokens = result.input_token_count || 0;
+  const completionTokens = result.generated_token_count || 0;
+  return {
+    text: (result.text || "").trim(),
+    tool_calls: [],
+    finish_reason: STOP_REASONS[result.stop_reason] || result.stop_reason,
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    },
+    model_id: resultModelId,
+    mode: "generation",
+  };
+}
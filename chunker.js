@@ -0,0 +1,85 @@
+/**
+ * Document chunker
+ * Splits text into overlapping token windows that respect Markdown headings and paragraphs
+ */
+
+const HEADING = /^#{1,6}\s+(.+)$/;
+
+/**
+ * Tokenize into whitespace-delimited tokens with character offsets.
+ * Word tokens are a close enough stand-in for model tokens when sizing chunks.
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(/\S+/g)) {
+    tokens.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Split text into chunks.
+ * Returns [{ text, start, end, heading }] where start/end are character offsets into text.
+ *
+ * - Markdown headings always start a new chunk, and the nearest heading is kept with each chunk
+ * - Within a section, chunks end on a paragraph break when one falls in the second half of the window
+ * - Consecutive chunks of the same section share `overlap` tokens
+ * - Pass headings: false for text where "# " lines are not headings (shell or Python comments)
+ */
+export function chunkText(text, { maxTokens = 256, overlap = 32, headings = true } = {}) {
+  if (overlap >= maxTokens) {
+    throw new Error(`Chunk overlap (${overlap}) must be smaller than chunk size (${maxTokens})`);
+  }
+
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return [];
+
+  // Mark paragraph breaks (blank line before a token) and headings (token starts a heading line)
+  const sections = [];
+  let section = { start: 0, heading: null };
+  const paragraphStarts = new Set();
+  // Start of the current line, moved forward as the gaps between tokens cross newlines
+  let lineStart = text.lastIndexOf("\n", tokens[0].start - 1) + 1;
+  for (let i = 0; i < tokens.length; i++) {
+    const gap = i > 0 ? text.slice(tokens[i - 1].end, tokens[i].start) : "";
+    const newline = gap.lastIndexOf("\n");
+    if (newline !== -1) lineStart = tokens[i - 1].end + newline + 1;
+    if (/\n\s*\n/.test(gap)) paragraphStarts.add(i);
+
+    if (headings && (lineStart === tokens[i].start || i === 0)) {
+      const lineEnd = text.indexOf("\n", tokens[i].start);
+      const line = text.slice(tokens[i].start, lineEnd === -1 ? text.length : lineEnd);
+      const heading = line.match(HEADING);
+      if (heading) {
+        if (i > section.start) sections.push({ ...section, end: i });
+        section = { start: i, heading: heading[1].trim() };
+      }
+    }
+  }
+  sections.push({ ...section, end: tokens.length });
+
+  const chunks = [];
+  for (const { start, end, heading } of sections) {
+    let from = start;
+    while (from < end) {
+      let to = Math.min(from + maxTokens, end);
+      if (to < end) {
+        // Prefer ending on a paragraph break in the second half of the window
+        for (let i = to; i > from + Math.floor(maxTokens / 2); i--) {
+          if (paragraphStarts.has(i)) {
+            to = i;
+            break;
+          }
+        }
+      }
+
+      const charStart = tokens[from].start;
+      const charEnd = tokens[to - 1].end;
+      chunks.push({ text: text.slice(charStart, charEnd), start: charStart, end: charEnd, heading });
+
+      if (to >= end) break;
+      from = Math.max(to - overlap, from + 1);
+    }
+  }
+  return chunks;
+}
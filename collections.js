@@ -0,0 +1,108 @@
+/**
+ * Named embedding index collections
+ * Each collection has its own source directories, include/exclude globs, embedding model
+ * and index location.
+ * The registry is a JSON file (default ~/.watsonx-mcp/collections.json).
+ */
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+export const DEFAULT_COLLECTIONS_PATH = path.join(os.homedir(), ".watsonx-mcp", "collections.json");
+
+const NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Collection registry persisted to a JSON file
+ */
+export class CollectionStore {
+  constructor({ storePath = DEFAULT_COLLECTIONS_PATH } = {}) {
+    this.storePath = storePath;
+    this.collections = null;
+  }
+
+  async load() {
+    if (this.collections) return this.collections;
+    this.collections = new Map();
+    try {
+      const data = JSON.parse(await fs.readFile(this.storePath, "utf-8"));
+      for (const collection of data.collections || []) this.collections.set(collection.name, collection);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    return this.collections;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    const data = { collections: [...this.collections.values()] };
+    await fs.writeFile(this.storePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Default index location: <registry dir>/collections/<name>/embeddings-index.json
+   */
+  defaultIndexPath(name) {
+    return path.join(path.dirname(this.storePath), "collections", name, "embeddings-index.json");
+  }
+
+  async create({ name, sources, modelId, indexPath, include, exclude }) {
+    if (!NAME.test(name || "")) {
+      throw new Error(`Invalid collection name: ${name}. Use letters, digits, "-" and "_".`);
+    }
+    if (!sources || sources.length === 0) {
+      throw new Error("A collection needs at least one source directory");
+    }
+    const collections = await this.load();
+    if (collections.has(name)) throw new Error(`Collection already exists: ${name}`);
+
+    const resolved = sources.map(s => path.resolve(s));
+    for (const source of resolved) {
+      const stat = await fs.stat(source).catch(() => null);
+      if (!stat?.isDirectory()) throw new Error(`Source directory not found: ${source}`);
+    }
+
+    const collection = {
+      name,
+      sources: resolved,
+      model_id: modelId,
+      index_path: path.resolve(indexPath || this.defaultIndexPath(name)),
+      ...(include?.length ? { include } : {}),
+      ...(exclude?.length ? { exclude } : {}),
+      created: new Date().toISOString(),
+    };
+    collections.set(name, collection);
+    await this.save();
+    return collection;
+  }
+
+  async get(name) {
+    const collections = await this.load();
+    const collection = collections.get(name);
+    if (!collection) throw new Error(`Collection not found: ${name}`);
+    return collection;
+  }
+
+  async list() {
+    const collections = await this.load();
+    return [...collections.values()];
+  }
+
+  async update(name, fields) {
+    const collection = await this.get(name);
+    Object.assign(collection, fields);
+    await this.save();
+    return collection;
+  }
+
+  /**
+   * Remove a collection from the registry. Returns the removed entry.
+   */
+  async drop(name) {
+    const collection = await this.get(name);
+    this.collections.delete(name);
+    await this.save();
+    return collection;
+  }
+}
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * Shared configuration
+ * Every script and the MCP server read their settings from here. Each setting comes from,
+ * in increasing order of precedence: its built-in default, the config file, its environment
+ * variable, then its command-line flag.
+ *
+ * The config file is JSON and is the first of --config <path>, WATSONX_CONFIG,
+ * ./watsonx.config.json and ~/.watsonx-mcp/config.json that exists, e.g.
+ *   { "watsonx": { "spaceId": "..." }, "paths": { "documents": "~/corpus" } }
+ * Relative paths in the file are resolved against the file's directory.
+ *
+ * Run `node config.js` to print the effective configuration and where each value came from.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+export const CONFIG_DIR = path.join(os.homedir(), ".watsonx-mcp");
+
+// The server's own directory, where the embeddings index has always been kept
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const CONFIG_FILES = [path.resolve("watsonx.config.json"), path.join(CONFIG_DIR, "config.json")];
+
+/**
+ * Known settings. type: "string" (default), "path", "url", "number" (non-negative) or "object";
+ * `values` restricts a string to a fixed set; secrets are masked when the configuration is printed.
+ */
+const SETTINGS = {
+  "watsonx.apiKey": { env: "WATSONX_API_KEY", secret: true },
+  "watsonx.url": { env: "WATSONX_URL", flag: "--watsonx-url", type: "url", default: "https://us-south.ml.cloud.ibm.com" },
+  "watsonx.spaceId": { env: "WATSONX_SPACE_ID", flag: "--space-id" },
+  "watsonx.projectId": { env: "WATSONX_PROJECT_ID", flag: "--project-id" },
+  "watsonx.maxRetries": { env: "WATSONX_MAX_RETRIES", flag: "--max-retries", type: "number", default: 4 },
+  "watsonx.requestsPerSecond": { env: "WATSONX_REQUESTS_PER_SECOND", flag: "--requests-per-second", type: "number", default: 8 },
+  "watsonx.timeoutMs": { env: "WATSONX_TIMEOUT_MS", flag: "--timeout-ms", type: "number", default: 120000 },
+
+  "models.generation": { env: "WATSONX_GENERATION_MODEL", flag: "--generation-model", default: "ibm/granite-3-3-8b-instruct" },
+  "models.embedding": { env: "WATSONX_EMBEDDING_MODEL", flag: "--embedding-model", default: "ibm/slate-125m-english-rtrvr-v2" },
+  "models.rerank": { env: "WATSONX_RERANK_MODEL", flag: "--rerank-model", default: "cross-encoder/ms-marco-minilm-l-12-v2" },
+
+  "paths.documents": { env: "WATSONX_DOCUMENTS_PATH", flag: "--documents-path", type: "path" },
+  "paths.training": { env: "WATSONX_TRAINING_PATH", flag: "--training-path", type: "path" },
+  "paths.index": { env: "WATSONX_INDEX_PATH", flag: "--index-path", type: "path", default: path.join(SERVER_DIR, "embeddings-index.json") },
+  "paths.output": { env: "WATSONX_OUTPUT_PATH", flag: "--output-path", type: "path", default: "./batch-results" },
+  "paths.collections": { env: "WATSONX_COLLECTIONS_PATH", type: "path", default: "~/.watsonx-mcp/collections.json" },
+  "paths.sessions": { env: "WATSONX_SESSION_STORE", type: "path" },
+
+  "keyProtect.apiKey": { env: "KEY_PROTECT_API_KEY", secret: true },
+  "keyProtect.instanceId": { env: "KEY_PROTECT_INSTANCE_ID" },
+  "keyProtect.url": { env: "KEY_PROTECT_URL", type: "url", default: "https://us-south.kms.cloud.ibm.com" },
+  "keyProtect.backend": { env: "KEY_PROTECT_BACKEND", values: ["ibm", "local"], default: "ibm" },
+  "keyProtect.localStore": { env: "KEY_PROTECT_LOCAL_STORE", type: "path" },
+
+  "zosConnect.url": { env: "ZOS_CONNECT_URL", type: "url" },
+  "zosConnect.auth": { env: "ZOS_CONNECT_AUTH", values: ["bearer", "basic", "header", "none"] },
+  "zosConnect.apiKey": { env: "ZOS_CONNECT_API_KEY", secret: true },
+  "zosConnect.apiKeyHeader": { env: "ZOS_CONNECT_API_KEY_HEADER" },
+  "zosConnect.username": { env: "ZOS_CONNECT_USERNAME" },
+  "zosConnect.password": { env: "ZOS_CONNECT_PASSWORD", secret: true },
+  "zosConnect.headers": { env: "ZOS_CONNECT_HEADERS", type: "object" },
+};
+
+/**
+ * Where a setting can be given, for error messages
+ */
+function howToSet(key) {
+  const { env, flag } = SETTINGS[key];
+  return `set "${key}" in the config file${env ? `, ${env}` : ""}${flag ? ` or pass ${flag}` : ""}`;
+}
+
+function flagValue(argv, flag) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) return argv[i + 1];
+    if (argv[i].startsWith(`${flag}=`)) return argv[i].slice(flag.length + 1);
+  }
+  return undefined;
+}
+
+/**
+ * Check and normalize one value. `base` is the directory relative paths are resolved against.
+ */
+function coerce(key, value, origin, base) {
+  const { type = "string", values } = SETTINGS[key];
+  const invalid = (problem) => new Error(`Invalid config: ${key} (from ${origin}) ${problem}`);
+
+  if (type === "object") {
+    if (typeof value === "string") {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        throw invalid("is not valid JSON");
+      }
+    }
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw invalid("must be a JSON object");
+    return value;
+  }
+
+  if (type === "number") {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number) || number < 0) {
+      throw invalid(`must be a non-negative number, got ${JSON.stringify(value)}`);
+    }
+    return number;
+  }
+
+  if (typeof value !== "string") throw invalid(`must be a string, got ${JSON.stringify(value)}`);
+  if (value === "") return undefined;
+  if (values && !values.includes(value)) {
+    throw invalid(`must be one of ${values.join(", ")}, got "${value}"`);
+  }
+  if (type === "url") {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw invalid(`is not a URL: "${value}"`);
+    }
+    if (!["http:", "https:"].includes(url.protocol)) throw invalid(`must be an http(s) URL: "${value}"`);
+    return value.replace(/\/+$/, "");
+  }
+  if (type === "path") {
+    const expanded = value === "~" || value.startsWith("~/") ? path.join(os.homedir(), value.slice(1)) : value;
+    return path.resolve(base, expanded);
+  }
+  return value;
+}
+
+/**
+ * Read the config file as a map of dotted keys. Unknown keys are an error, so typos surface.
+ */
+function readConfigFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error(`Config file not found: ${filePath}`);
+    throw new Error(`Invalid config file ${filePath}: ${err.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Invalid config file ${filePath}: expected a JSON object`);
+  }
+
+  const entries = new Map();
+  for (const [section, fields] of Object.entries(data)) {
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+      throw new Error(`Invalid config file ${filePath}: "${section}" must be an object`);
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      const key = `${section}.${field}`;
+      if (!SETTINGS[key]) {
+        const known = Object.keys(SETTINGS).filter(k => k.startsWith(`${section}.`));
+        throw new Error(`Unknown config key "${key}" in ${filePath}${known.length ? `. Known keys: ${known.join(", ")}` : ""}`);
+      }
+      entries.set(key, value);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Resolve the configuration from defaults, the config file, environment and flags.
+ * Returns { watsonx, models, paths, keyProtect, zosConnect, file, origins } where
+ * origins maps each set key to where its value came from.
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const explicit = flagValue(argv, "--config") || env.WATSONX_CONFIG;
+  const file = explicit ? path.resolve(explicit) : CONFIG_FILES.find(f => fs.existsSync(f)) || null;
+  const fileEntries = file ? readConfigFile(file) : new Map();
+
+  const config = { watsonx: {}, models: {}, paths: {}, keyProtect: {}, zosConnect: {}, file, origins: {} };
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    let value, origin, base = process.cwd();
+    const fromFlag = setting.flag && flagValue(argv, setting.flag);
+    if (fromFlag !== undefined) {
+      [value, origin] = [fromFlag, setting.flag];
+    } else if (setting.env && env[setting.env] !== undefined) {
+      [value, origin] = [env[setting.env], setting.env];
+    } else if (fileEntries.has(key)) {
+      [value, origin, base] = [fileEntries.get(key), file, path.dirname(file)];
+    } else if (setting.default !== undefined) {
+      [value, origin] = [setting.default, "default"];
+    } else {
+      continue;
+    }
+    const coerced = coerce(key, value, origin, base);
+    if (coerced === undefined) continue;
+    const [section, field] = key.split(".");
+    config[section][field] = coerced;
+    config.origins[key] = origin;
+  }
+  return config;
+}
+
+let current = null;
+
+/**
+ * Configuration for this process (loaded once from process.argv and process.env)
+ */
+export function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+/**
+ * A setting that must be present, e.g. requireSetting(config, "paths.documents")
+ */
+export function requireSetting(config, key) {
+  const [section, field] = key.split(".");
+  const value = config[section]?.[field];
+  if (value === undefined) throw new Error(`Missing setting ${key}: ${howToSet(key)}`);
+  return value;
+}
+
+/**
+ * Deployment space (preferred) or project scope for watsonx.ai requests
+ */
+export function getScope(config = getConfig()) {
+  if (config.watsonx.spaceId) return { spaceId: config.watsonx.spaceId };
+  if (config.watsonx.projectId) return { projectId: config.watsonx.projectId };
+  return {};
+}
+
+/**
+ * Throw unless watsonx.ai credentials and a space or project are configured
+ */
+export function requireWatsonx(config = getConfig()) {
+  requireSetting(config, "watsonx.apiKey");
+  if (!config.watsonx.spaceId && !config.watsonx.projectId) {
+    throw new Error(`Missing watsonx.ai scope: ${howToSet("watsonx.spaceId")} (or watsonx.projectId / WATSONX_PROJECT_ID)`);
+  }
+}
+
+/**
+ * Effective configuration as printable lines, with secrets masked
+ */
+export function describeConfig(config) {
+  const lines = [`Config file: ${config.file || "(none)"}`];
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const [section, field] = key.split(".");
+    const value = config[section][field];
+    if (value === undefined) {
+      lines.push(`  ${key} = (unset)`);
+      continue;
+    }
+    const shown = setting.secret ? "********" : typeof value === "object" ? JSON.stringify(value) : value;
+    lines.push(`  ${key} = ${shown}  [${config.origins[key]}]`);
+  }
+  return lines;
+}
+
+// Run directly: print (and so validate) the effective configuration
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    describeConfig(loadConfig()).forEach(line => console.log(line));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -1,53 +1,35 @@
 #!/usr/bin/env node
 /**
  * watsonx Document Analyzer
- * Analyzes documents from external drive using IBM watsonx.ai
+ * Analyzes documents from the configured documents directory using IBM watsonx.ai
  */
 
-import { WatsonXAI } from "@ibm-cloud/watsonx-ai";
-import { IamAuthenticator } from "ibm-cloud-sdk-core";
 import fs from "fs/promises";
 import path from "path";
+import { getConfig, requireSetting, requireWatsonx } from "./config.js";
+import { extractText, findDocuments } from "./ingest.js";
+import { getScope, getWatsonxClient } from "./watsonx-client.js";
 
-// Configuration
-const WATSONX_API_KEY = process.env.WATSONX_API_KEY;
-const WATSONX_URL = process.env.WATSONX_URL || "https://us-south.ml.cloud.ibm.com";
-const WATSONX_SPACE_ID = process.env.WATSONX_SPACE_ID;
-
-// External drive paths
-const EXTERNAL_DRIVE = "/Volumes/Virtual Server/_NEW";
-const DOCUMENTS_PATH = `${EXTERNAL_DRIVE}/Documents`;
-const TRAINING_PATH = `${EXTERNAL_DRIVE}/Code/AI/Training`;
-
-// Initialize watsonx client
-let client = null;
-
-function getClient() {
-  if (!client && WATSONX_API_KEY) {
-    client = WatsonXAI.newInstance({
-      version: "2024-05-31",
-      serviceUrl: WATSONX_URL,
-      authenticator: new IamAuthenticator({
-        apikey: WATSONX_API_KEY,
-      }),
-    });
-  }
-  return client;
-}
+// Configuration (config file, environment or flags; see config.js)
+const config = getConfig();
+const { generation: GENERATION_MODEL, embedding: EMBEDDING_MODEL } = config.models;
+
+// Paths
+const DOCUMENTS_PATH = config.paths.documents;
 
 /**
  * Summarize a document using watsonx Granite model
  */
 async function summarizeDocument(text, maxLength = 200) {
-  const watsonx = getClient();
+  const watsonx = getWatsonxClient();
   if (!watsonx) throw new Error("watsonx client not initialized");
 
   // Truncate very long documents
   const truncatedText = text.length > 4000 ? text.substring(0, 4000) + "..." : text;
 
   const response = await watsonx.generateText({
-    modelId: "ibm/granite-3-3-8b-instruct",
-    spaceId: WATSONX_SPACE_ID,
+    modelId: GENERATION_MODEL,
+    ...getScope(config),
     input: `Summarize the following document in ${maxLength} words or less. Focus on the key points and main ideas.
 
 Document:
@@ -68,12 +50,12 @@ Summary:`,
  * Generate embeddings for a list of texts
  */
 async function generateEmbeddings(texts) {
-  const watsonx = getClient();
+  const watsonx = getWatsonxClient();
   if (!watsonx) throw new Error("watsonx client not initialized");
 
   const response = await watsonx.embedText({
-    modelId: "ibm/slate-125m-english-rtrvr-v2",
-    spaceId: WATSONX_SPACE_ID,
+    modelId: EMBEDDING_MODEL,
+    ...getScope(config),
     inputs: texts,
   });
 
@@ -84,14 +66,14 @@ async function generateEmbeddings(texts) {
  * Analyze document type and extract key information
  */
 async function analyzeDocument(text) {
-  const watsonx = getClient();
+  const watsonx = getWatsonxClient();
   if (!watsonx) throw new Error("watsonx client not initialized");
 
   const truncatedText = text.length > 3000 ? text.substring(0, 3000) + "..." : text;
 
   const response = await watsonx.generateText({
-    modelId: "ibm/granite-3-3-8b-instruct",
-    spaceId: WATSONX_SPACE_ID,
+    modelId: GENERATION_MODEL,
+    ...getScope(config),
     input: `Analyze the following document and provide:
 1. Document Type (e.g., technical documentation, article, notes, code, etc.)
 2. Main Topics (comma-separated list of 3-5 topics)
@@ -115,14 +97,14 @@ Analysis:`,
  * Answer questions about a document
  */
 async function questionDocument(text, question) {
-  const watsonx = getClient();
+  const watsonx = getWatsonxClient();
   if (!watsonx) throw new Error("watsonx client not initialized");
 
   const truncatedText = text.length > 3500 ? text.substring(0, 3500) + "..." : text;
 
   const response = await watsonx.generateText({
-    modelId: "ibm/granite-3-3-8b-instruct",
-    spaceId: WATSONX_SPACE_ID,
+    modelId: GENERATION_MODEL,
+    ...getScope(config),
     input: `Based on the following document, answer the question.
 
 Document:
@@ -175,24 +157,23 @@ async function semanticSearch(query, documentEmbeddings, documents, topK = 5) {
  * Load documents from the training catalog
  */
 async function loadDocumentCatalog() {
-  const catalogPath = `${TRAINING_PATH}/documents_catalog.json`;
+  const catalogPath = path.join(config.paths.training, "documents_catalog.json");
   const data = await fs.readFile(catalogPath, "utf-8");
   return JSON.parse(data);
 }
 
 /**
- * Read a sample of documents
+ * Read a sample of documents (recursive; every format ingest.js reads)
  */
-async function readSampleDocuments(count = 10) {
-  const files = await fs.readdir(DOCUMENTS_PATH);
-  const txtFiles = files.filter((f) => f.endsWith(".txt")).slice(0, count);
+async function readSampleDocuments(count = 10, { include, exclude } = {}) {
+  const files = await findDocuments(DOCUMENTS_PATH, { include, exclude, maxDocs: count });
 
   const documents = [];
-  for (const file of txtFiles) {
+  for (const file of files) {
     try {
-      const content = await fs.readFile(`${DOCUMENTS_PATH}/${file}`, "utf-8");
+      const content = await extractText(file.path);
       documents.push({
-        filename: file,
+        filename: file.relative,
         content: content.substring(0, 5000), // Limit size
       });
     } catch (err) {
@@ -202,10 +183,26 @@ async function readSampleDocuments(count = 10) {
   return documents;
 }
 
+/**
+ * Extract the text of a document, given a path relative to the documents directory or an absolute path
+ */
+async function readDocumentText(filename) {
+  return extractText(path.resolve(DOCUMENTS_PATH, filename));
+}
+
 // Main execution
 async function main() {
   const command = process.argv[2];
   const arg = process.argv[3];
+  const flag = name => {
+    const at = process.argv.indexOf(name);
+    return at > 0 ? process.argv[at + 1] : undefined;
+  };
+  // --include / --exclude (comma-separated globs) choose the sample for embed and search
+  const globs = {
+    include: flag("--include")?.split(","),
+    exclude: flag("--exclude")?.split(","),
+  };
 
   console.log("╔══════════════════════════════════════════════════════════════╗");
   console.log("║           watsonx Document Analyzer                          ║");
@@ -213,13 +210,20 @@ async function main() {
   console.log("╚══════════════════════════════════════════════════════════════╝");
   console.log("");
 
-  if (!WATSONX_API_KEY || !WATSONX_SPACE_ID) {
-    console.error("Error: WATSONX_API_KEY and WATSONX_SPACE_ID must be set");
-    process.exit(1);
-  }
+  // Checked per command, so the usage prints even when nothing is configured
+  const needs = ({ watsonx = true, setting = "paths.documents" } = {}) => {
+    try {
+      if (watsonx) requireWatsonx(config);
+      requireSetting(config, setting);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  };
 
   switch (command) {
     case "catalog": {
+      needs({ watsonx: false, setting: "paths.training" });
       console.log("📚 Loading document catalog...");
       const catalog = await loadDocumentCatalog();
       console.log(`   Total documents: ${catalog.total}`);
@@ -231,10 +235,11 @@ async function main() {
     }
 
     case "summarize": {
+      needs();
       const filename = arg || "1002519.txt";
       console.log(`📝 Summarizing: ${filename}`);
       try {
-        const content = await fs.readFile(`${DOCUMENTS_PATH}/${filename}`, "utf-8");
+        const content = await readDocumentText(filename);
         console.log(`   Document length: ${content.length} characters`);
         console.log("\n   Generating summary with watsonx...\n");
         const summary = await summarizeDocument(content);
@@ -249,10 +254,11 @@ async function main() {
     }
 
     case "analyze": {
+      needs();
       const filename = arg || "1002519.txt";
       console.log(`🔍 Analyzing: ${filename}`);
       try {
-        const content = await fs.readFile(`${DOCUMENTS_PATH}/${filename}`, "utf-8");
+        const content = await readDocumentText(filename);
         console.log(`   Document length: ${content.length} characters`);
         console.log("\n   Analyzing with watsonx...\n");
         const analysis = await analyzeDocument(content);
@@ -267,6 +273,7 @@ async function main() {
     }
 
     case "question": {
+      needs();
       const filename = arg;
       const question = process.argv[4];
       if (!filename || !question) {
@@ -276,7 +283,7 @@ async function main() {
       console.log(`❓ Asking question about: ${filename}`);
       console.log(`   Question: ${question}`);
       try {
-        const content = await fs.readFile(`${DOCUMENTS_PATH}/${filename}`, "utf-8");
+        const content = await readDocumentText(filename);
         console.log("\n   Answering with watsonx...\n");
         const answer = await questionDocument(content, question);
         console.log("   Answer:");
@@ -290,8 +297,9 @@ async function main() {
     }
 
     case "embed": {
+      needs();
       console.log("🔢 Generating embeddings for sample documents...");
-      const docs = await readSampleDocuments(5);
+      const docs = await readSampleDocuments(5, globs);
       console.log(`   Loaded ${docs.length} documents`);
 
       const texts = docs.map((d) => d.content.substring(0, 500));
@@ -306,6 +314,7 @@ async function main() {
     }
 
     case "search": {
+      needs();
       const query = arg;
       if (!query) {
         console.log("Usage: document-analyzer.js search '<query>'");
@@ -313,7 +322,7 @@ async function main() {
       }
       console.log(`🔍 Semantic search: "${query}"`);
       console.log("   Loading sample documents...");
-      const docs = await readSampleDocuments(20);
+      const docs = await readSampleDocuments(20, globs);
       console.log(`   Loaded ${docs.length} documents`);
 
       console.log("   Generating embeddings...");
@@ -342,11 +351,17 @@ async function main() {
       console.log("  embed                - Generate embeddings for sample docs");
       console.log("  search <query>       - Semantic search across documents");
       console.log("");
+      console.log("Files may be txt, md, html, json, pdf, docx or source code; embed and search");
+      console.log("sample the documents directory recursively (--include / --exclude '<globs>').");
+      console.log("The documents and training directories come from paths.documents and");
+      console.log("paths.training (see config.js; override with --documents-path / --training-path).");
+      console.log("");
       console.log("Examples:");
       console.log("  document-analyzer.js summarize 1002519.txt");
       console.log("  document-analyzer.js analyze 1002519.txt");
       console.log("  document-analyzer.js question 1002519.txt 'What is this about?'");
       console.log("  document-analyzer.js search 'IBM Cloud Satellite'");
+      console.log("  document-analyzer.js analyze reports/q3-review.pdf");
   }
 }
 
@@ -1,52 +1,123 @@
 #!/usr/bin/env node
 /**
  * watsonx Embedding Index
- * Builds and queries a persistent embedding index for RAG
+ * Builds and queries a persistent embedding index for RAG.
+ * Importable as a module (used by the MCP server) or run as a CLI.
  */
 
-import { WatsonXAI } from "@ibm-cloud/watsonx-ai";
-import { IamAuthenticator } from "ibm-cloud-sdk-core";
+import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
+import { pathToFileURL } from "url";
+import { chunkText } from "./chunker.js";
+import { DEFAULT_PROBES, annPath, readIvf, searchIvf, updateIvf, writeIvf } from "./ann-index.js";
+import { CollectionStore } from "./collections.js";
+import { CONFIG_DIR, getConfig, requireSetting, requireWatsonx } from "./config.js";
+import { compileFilter } from "./filter-expression.js";
+import { detectFormat, extractText, findDocuments, readDocument } from "./ingest.js";
+import { SessionStore } from "./sessions.js";
+import { bm25Search, countTerms, createLexicalIndex, lexicalPath, readLexical, writeLexical } from "./lexical-index.js";
+import { VECTOR_DTYPES, readVectors, vectorsPath, writeVectors } from "./vector-store.js";
+import { getScope, getWatsonxClient } from "./watsonx-client.js";
 
-// Configuration
-const WATSONX_API_KEY = process.env.WATSONX_API_KEY;
-const WATSONX_URL = process.env.WATSONX_URL || "https://us-south.ml.cloud.ibm.com";
-const WATSONX_SPACE_ID = process.env.WATSONX_SPACE_ID;
+// Configuration (config file, environment or flags; see config.js)
+const config = getConfig();
 
 // Paths
-const EXTERNAL_DRIVE = "/Volumes/Virtual Server/_NEW";
-const DOCUMENTS_PATH = `${EXTERNAL_DRIVE}/Documents`;
-const INDEX_PATH = "/Users/matthewkarsten/watsonx-mcp-server/embeddings-index.json";
-
-let client = null;
-
-function getClient() {
-  if (!client && WATSONX_API_KEY) {
-    client = WatsonXAI.newInstance({
-      version: "2024-05-31",
-      serviceUrl: WATSONX_URL,
-      authenticator: new IamAuthenticator({
-        apikey: WATSONX_API_KEY,
-      }),
-    });
+export const DOCUMENTS_PATH = config.paths.documents;
+export const INDEX_PATH = config.paths.index;
+export const DEFAULT_EMBEDDING_MODEL = config.models.embedding;
+
+/**
+ * Resolve the watsonx client and space/project scope for a call.
+ * Callers such as the MCP server pass their own; the CLI uses the shared configuration.
+ */
+function resolveContext(options = {}) {
+  const watsonx = options.client || getWatsonxClient();
+  if (!watsonx) {
+    throw new Error("watsonx.ai not configured. Set WATSONX_API_KEY or watsonx.apiKey in the config file.");
   }
-  return client;
+  return {
+    watsonx,
+    scope: options.scope || getScope(config),
+  };
 }
 
 /**
- * Generate embeddings for texts (batch)
+ * Generate embeddings for texts (batch) with options.embeddingModel
  */
-async function generateEmbeddings(texts) {
-  const watsonx = getClient();
+async function generateEmbeddings(texts, options = {}) {
+  const { watsonx, scope } = resolveContext(options);
   const response = await watsonx.embedText({
-    modelId: "ibm/slate-125m-english-rtrvr-v2",
-    spaceId: WATSONX_SPACE_ID,
+    modelId: options.embeddingModel || DEFAULT_EMBEDDING_MODEL,
+    ...scope,
     inputs: texts,
   });
   return response.result.results?.map((r) => r.embedding) || [];
 }
 
+/**
+ * Scale a vector to unit length
+ */
+function normalizeVector(v) {
+  let norm = 0;
+  for (let i = 0; i < v.length; i++) norm += v[i] * v[i];
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(v, x => x / norm);
+}
+
+/**
+ * Embed texts in batches of 10, returning unit-length vectors.
+ * onProgress(batchNumber, totalBatches) is called before each batch.
+ */
+export async function embedTexts(texts, { onProgress, options = {} } = {}) {
+  const batchSize = 10;
+  const totalBatches = Math.ceil(texts.length / batchSize);
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    onProgress?.(Math.floor(i / batchSize) + 1, totalBatches);
+    const embeddings = await generateEmbeddings(texts.slice(i, i + batchSize), options);
+    vectors.push(...embeddings.map(normalizeVector));
+  }
+  return vectors;
+}
+
+/**
+ * Text embedded for a chunk: its heading is prepended when the chunk text lacks it
+ */
+function chunkEmbeddingText(heading, text) {
+  return heading && !text.includes(heading) ? `${heading}\n${text}` : text;
+}
+
+/**
+ * Embedding model of an index (indexes built before models were recorded used the default)
+ */
+function indexEmbeddingModel(index) {
+  return index.metadata.embedding_model || (index.chunks.length > 0 ? DEFAULT_EMBEDDING_MODEL : null);
+}
+
+/**
+ * Refuse to mix vectors from different embedding models in one index
+ */
+function checkEmbeddingModel(index, embeddingModel, action) {
+  const indexModel = indexEmbeddingModel(index);
+  if (embeddingModel && indexModel && embeddingModel !== indexModel) {
+    throw new Error(
+      `Cannot ${action} with ${embeddingModel}: the index was embedded with ${indexModel}. ` +
+      `Run 'reembed --model ${embeddingModel}' to migrate the index (or rebuild it with --force).`
+    );
+  }
+}
+
+/**
+ * Dot product (equals cosine similarity for unit-length vectors)
+ */
+function dotProduct(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
 /**
  * Calculate cosine similarity
  */
@@ -61,155 +132,802 @@ function cosineSimilarity(a, b) {
 }
 
 /**
- * Load or create index
+ * Load or create index.
+ * The JSON manifest holds documents, chunks and metadata; vectors are read from
+ * the binary sidecar it points to. Legacy indexes with inline `embeddings` arrays
+ * are still readable and are converted to the binary format on the next save.
+ * Indexes built before chunking (one embedding per document) are read as one chunk per document.
  */
-async function loadIndex() {
+export async function loadIndex(indexPath = INDEX_PATH) {
+  let index;
   try {
-    const data = await fs.readFile(INDEX_PATH, "utf-8");
-    return JSON.parse(data);
+    index = JSON.parse(await fs.readFile(indexPath, "utf-8"));
   } catch {
-    return { documents: [], embeddings: [], metadata: { created: new Date().toISOString(), count: 0 } };
+    return { documents: [], chunks: [], embeddings: [], metadata: { created: new Date().toISOString(), count: 0 } };
+  }
+
+  if (index.vectors) {
+    index.embeddings = await readVectors(path.join(path.dirname(indexPath), index.vectors.file), index.vectors);
+    delete index.vectors;
+  } else {
+    index.embeddings = (index.embeddings || []).map(e => Float32Array.from(e));
+  }
+  if (index.ann) {
+    // A missing or stale ANN sidecar only costs speed: queries fall back to an exact scan
+    index.ann = await readIvf(path.join(path.dirname(indexPath), index.ann.file), index.ann).catch(() => null);
+    if (index.ann && index.ann.assignments.length !== index.embeddings.length) index.ann = null;
   }
+  if (!index.chunks) {
+    index.chunks = index.documents.map((d, i) => ({
+      doc: i,
+      start: 0,
+      end: Math.min(d.length, 500),
+      heading: null,
+      preview: d.preview,
+    }));
+  }
+  // Indexes saved before lexical search have no term counts until the next save
+  index.lexical = index.lexical
+    ? await readLexical(path.join(path.dirname(indexPath), index.lexical.file)).catch(() => null)
+    : null;
+  if (!index.lexical || index.lexical.chunks.length !== index.chunks.length) {
+    index.lexical = createLexicalIndex();
+    index.lexical.chunks = index.chunks.map(() => null);
+  }
+  return index;
 }
 
 /**
- * Save index
+ * Load an index for querying, reusing the parsed index until its files change
  */
-async function saveIndex(index) {
+const indexCache = new Map();
+
+async function loadIndexCached(indexPath) {
+  const mtimes = await Promise.all([indexPath, vectorsPath(indexPath), annPath(indexPath), lexicalPath(indexPath)].map(p =>
+    fs.stat(p).then(s => s.mtimeMs, () => 0)
+  ));
+  const key = mtimes.join(":");
+  const cached = indexCache.get(indexPath);
+  if (cached?.key === key) return cached.index;
+
+  const index = await loadIndex(indexPath);
+  indexCache.set(indexPath, { key, index });
+  return index;
+}
+
+/**
+ * Save index as a JSON manifest plus a binary vector sidecar.
+ * Vectors are stored as float32 unless metadata.vector_dtype is "int8".
+ * Large indexes also get an IVF sidecar for approximate search, and every index
+ * gets a lexical sidecar for BM25 search (chunks without term counts are tokenized
+ * from their source documents first).
+ */
+async function saveIndex(index, indexPath = INDEX_PATH, { documentsPath = DOCUMENTS_PATH } = {}) {
   index.metadata.updated = new Date().toISOString();
   index.metadata.count = index.documents.length;
-  await fs.writeFile(INDEX_PATH, JSON.stringify(index, null, 2));
+  index.metadata.chunk_count = index.chunks.length;
+  index.metadata.vector_dtype = index.metadata.vector_dtype || "float32";
+  index.metadata.embedding_model = indexEmbeddingModel(index) || index.metadata.embedding_model;
+  index.metadata.embedding_dimension = index.embeddings[0]?.length || index.metadata.embedding_dimension;
+  index.metadata.embedding_normalization = index.metadata.embedding_normalization || "none";
+
+  await fs.mkdir(path.dirname(indexPath), { recursive: true });
+  // Write vectors first so the manifest never points at a missing sidecar
+  const vectors = await writeVectors(vectorsPath(indexPath), index.embeddings, index.metadata.vector_dtype);
+  index.ann = updateIvf(index.ann, index.embeddings);
+  const ann = index.ann ? await writeIvf(annPath(indexPath), index.ann) : undefined;
+  if (!ann) await fs.rm(annPath(indexPath), { force: true });
+  await tokenizeMissingChunks(index, documentsPath);
+  const lexical = await writeLexical(lexicalPath(indexPath), index.lexical);
+
+  const { embeddings, ...manifest } = index;
+  await fs.writeFile(indexPath, JSON.stringify({ ...manifest, vectors, ann, lexical }, null, 2));
+  indexCache.delete(indexPath);
 }
 
 /**
- * Build index from documents
+ * Rewrite an index in the binary format, optionally changing the vector dtype.
+ * Converts legacy JSON indexes (inline embeddings) in place.
  */
-async function buildIndex(maxDocs = 100) {
-  console.log("📚 Building embedding index...");
-  console.log(`   Source: ${DOCUMENTS_PATH}`);
-  console.log(`   Max documents: ${maxDocs}`);
-
-  const files = await fs.readdir(DOCUMENTS_PATH);
-  const txtFiles = files.filter(f => f.endsWith(".txt")).slice(0, maxDocs);
+export async function migrateIndex({ indexPath = INDEX_PATH, documentsPath = DOCUMENTS_PATH, dtype } = {}) {
+  const index = await loadIndex(indexPath);
+  if (index.chunks.length === 0) throw new Error(`No index found at ${indexPath}`);
+  if (dtype && !VECTOR_DTYPES.includes(dtype)) {
+    throw new Error(`Unknown vector dtype: ${dtype}. Use "float32" or "int8".`);
+  }
 
-  console.log(`   Found ${txtFiles.length} text files`);
+  const fileSize = p => fs.stat(p).then(s => s.size, () => 0);
+  const before = await fileSize(indexPath) + await fileSize(vectorsPath(indexPath));
+  if (dtype) index.metadata.vector_dtype = dtype;
+  await saveIndex(index, indexPath, { documentsPath });
+  const after = await fileSize(indexPath) + await fileSize(vectorsPath(indexPath));
 
-  const index = { documents: [], embeddings: [], metadata: { created: new Date().toISOString() } };
+  return {
+    index_path: indexPath,
+    vectors_path: vectorsPath(indexPath),
+    chunks: index.chunks.length,
+    dtype: index.metadata.vector_dtype,
+    bytes_before: before,
+    bytes_after: after,
+  };
+}
 
-  // Process in batches of 10
-  const batchSize = 10;
-  for (let i = 0; i < txtFiles.length; i += batchSize) {
-    const batch = txtFiles.slice(i, i + batchSize);
-    const texts = [];
-    const docs = [];
-
-    for (const file of batch) {
-      try {
-        const content = await fs.readFile(`${DOCUMENTS_PATH}/${file}`, "utf-8");
-        const truncated = content.substring(0, 500); // First 500 chars for embedding
-        texts.push(truncated);
-        docs.push({
-          filename: file,
-          preview: truncated.substring(0, 200).replace(/\n/g, " "),
-          length: content.length,
-        });
-      } catch {
-        // Skip unreadable files
-      }
+/**
+ * Compute term counts for chunks that have none, reading each source document once
+ */
+async function tokenizeMissingChunks(index, documentsPath) {
+  const missing = new Map();
+  index.lexical.chunks.forEach((pairs, i) => {
+    if (pairs) return;
+    const doc = index.chunks[i].doc;
+    if (!missing.has(doc)) missing.set(doc, []);
+    missing.get(doc).push(i);
+  });
+  for (const [doc, chunkIds] of missing) {
+    const content = await readSource(index.documents[doc], documentsPath);
+    for (const i of chunkIds) {
+      const chunk = index.chunks[i];
+      const text = content !== null ? content.substring(chunk.start, chunk.end) : chunk.preview;
+      index.lexical.chunks[i] = countTerms(index.lexical, `${chunk.heading || ""}\n${text}`);
     }
+  }
+}
 
-    if (texts.length > 0) {
-      console.log(`   Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(txtFiles.length/batchSize)}...`);
-      const embeddings = await generateEmbeddings(texts);
+/**
+ * Filterable metadata for a document: file facts derived from the index entry,
+ * plus annotations (category, topics, summary) imported from batch-processor.js results
+ */
+function documentMetadata(doc, documentsPath) {
+  const filePath = documentPath(doc, documentsPath);
+  return {
+    filename: doc.filename,
+    path: filePath,
+    source_dir: filePath && path.dirname(filePath),
+    type: path.extname(doc.filename).slice(1).toLowerCase(),
+    format: doc.format || detectFormat(doc.filename)?.format,
+    language: doc.language || detectFormat(doc.filename)?.language || null,
+    modified: doc.mtime ? new Date(doc.mtime).toISOString() : null,
+    size: doc.size ?? doc.length,
+    ...doc.metadata,
+  };
+}
 
-      for (let j = 0; j < docs.length; j++) {
-        index.documents.push(docs[j]);
-        index.embeddings.push(embeddings[j]);
-      }
+/**
+ * Import batch-processor.js results (category, topics, summary) as document metadata.
+ * Results are matched to indexed documents by path, then by filename.
+ */
+export async function annotateIndex(resultsPath, { indexPath = INDEX_PATH, documentsPath = DOCUMENTS_PATH } = {}) {
+  const data = JSON.parse(await fs.readFile(resultsPath, "utf-8"));
+  const results = Array.isArray(data) ? data : data.documents || data.results || [];
+  const index = await loadIndex(indexPath);
+
+  const byPath = new Map(index.documents.map(doc => [documentPath(doc, documentsPath), doc]));
+  const byName = new Map(index.documents.map(doc => [doc.filename, doc]));
+  let annotated = 0;
+  const unmatched = [];
+  for (const result of results) {
+    if (result.error) continue;
+    const doc = (result.path && byPath.get(path.resolve(result.path))) || byName.get(result.filename);
+    if (!doc) {
+      unmatched.push(result.filename);
+      continue;
     }
+    const fields = Object.fromEntries(
+      ["category", "topics", "summary"].filter(k => result[k] !== undefined).map(k => [k, result[k]])
+    );
+    doc.metadata = { ...doc.metadata, ...fields };
+    annotated++;
   }
 
-  await saveIndex(index);
-  console.log(`\n✅ Index built with ${index.documents.length} documents`);
-  console.log(`   Saved to: ${INDEX_PATH}`);
+  await saveIndex(index, indexPath, { documentsPath });
+  return { annotated, unmatched };
+}
+
+/**
+ * Re-embed every chunk of an index with a different embedding model.
+ * Chunk text is re-read from the source documents (falling back to the stored preview);
+ * chunks, lexical data and metadata are kept, and the ANN index is retrained.
+ * The index on disk is only replaced once every batch has been embedded.
+ * onProgress(batchNumber, totalBatches) is called before each embedding batch.
+ */
+export async function reembedIndex({
+  indexPath = INDEX_PATH,
+  documentsPath = DOCUMENTS_PATH,
+  embeddingModel,
+  onProgress,
+  ...options
+} = {}) {
+  if (!embeddingModel) throw new Error("reembed needs the new embedding model id");
+  const index = await loadIndex(indexPath);
+  if (index.chunks.length === 0) throw new Error(`No index found at ${indexPath}`);
+  const previousModel = indexEmbeddingModel(index);
 
-  return index;
+  // Read each source document once
+  const contents = await Promise.all(index.documents.map(doc => readSource(doc, documentsPath)));
+  let fromPreview = 0;
+  const texts = index.chunks.map(chunk => {
+    const content = contents[chunk.doc];
+    if (content === null) fromPreview++;
+    const text = content !== null ? content.substring(chunk.start, chunk.end) : chunk.preview;
+    return chunkEmbeddingText(chunk.heading, text);
+  });
+
+  index.embeddings = await embedTexts(texts, { onProgress, options: { ...options, embeddingModel } });
+  index.ann = null;
+  index.metadata.embedding_model = embeddingModel;
+  index.metadata.embedding_dimension = index.embeddings[0].length;
+  index.metadata.embedding_normalization = "l2";
+  await saveIndex(index, indexPath, { documentsPath });
+
+  return {
+    index_path: indexPath,
+    previous_model: previousModel,
+    embedding_model: embeddingModel,
+    dimension: index.metadata.embedding_dimension,
+    chunks: index.chunks.length,
+    from_preview: fromPreview,
+  };
 }
 
 /**
- * Query the index
+ * Content hash used to detect changed documents
  */
-async function queryIndex(query, topK = 5) {
-  console.log(`🔍 Searching: "${query}"`);
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
 
-  const index = await loadIndex();
-  if (index.documents.length === 0) {
-    console.log("   Index is empty. Run 'build' first.");
-    return [];
-  }
+/**
+ * Path of the source file behind an indexed document, or null when it is not known
+ */
+function documentPath(doc, documentsPath) {
+  if (doc.path) return doc.path;
+  // Documents indexed before paths were recorded live in the documents directory
+  return documentsPath ? path.join(documentsPath, doc.filename) : null;
+}
 
-  console.log(`   Searching ${index.documents.length} documents...`);
+/**
+ * Extracted text of an indexed document (chunk offsets point into it), or null if unreadable
+ */
+async function readSource(doc, documentsPath) {
+  const filePath = documentPath(doc, documentsPath);
+  if (!filePath) return null;
+  return extractText(filePath).catch(() => null);
+}
 
-  const [queryEmbedding] = await generateEmbeddings([query]);
+/**
+ * Apply document removals and additions to an index.
+ * Removed documents are dropped with their chunks; every chunk of an added
+ * document is embedded. Returns the updated index and the number of embedded chunks.
+ */
+async function applyChanges(index, { remove = new Set(), add = [], chunkSize, chunkOverlap, onProgress, options }) {
+  const next = { documents: [], chunks: [], embeddings: [], metadata: index.metadata };
+  // Keep ANN list assignments for surviving chunks; new chunks (-1) are assigned and the
+  // inverted lists rebuilt on save
+  if (index.ann) next.ann = { ...index.ann, assignments: [], lists: null };
+  next.lexical = index.lexical ? { ...index.lexical, chunks: [] } : createLexicalIndex();
 
-  const results = index.embeddings.map((emb, i) => ({
-    ...index.documents[i],
-    similarity: cosineSimilarity(queryEmbedding, emb),
-  }));
+  // Keep surviving documents, renumbering chunk references.
+  // Annotations (category, topics) of re-indexed documents carry over by path.
+  const docMap = new Map();
+  const annotations = new Map();
+  index.documents.forEach((doc, i) => {
+    if (remove.has(i)) {
+      if (doc.path && doc.metadata) annotations.set(doc.path, doc.metadata);
+      return;
+    }
+    docMap.set(i, next.documents.length);
+    next.documents.push(doc);
+  });
+  index.chunks.forEach((chunk, i) => {
+    if (!docMap.has(chunk.doc)) return;
+    next.chunks.push({ ...chunk, doc: docMap.get(chunk.doc) });
+    next.embeddings.push(index.embeddings[i]);
+    next.ann?.assignments.push(index.ann.assignments[i]);
+    next.lexical.chunks.push(index.lexical.chunks[i]);
+  });
+
+  const pending = [];
+  for (const { filePath, content, stat, format, language } of add) {
+    const doc = next.documents.length;
+    next.documents.push({
+      filename: path.basename(filePath),
+      path: filePath,
+      format,
+      ...(language ? { language } : {}),
+      preview: content.substring(0, 200).replace(/\n/g, " "),
+      length: content.length,
+      hash: hashContent(content),
+      mtime: stat.mtimeMs,
+      size: stat.size,
+      ...(annotations.has(filePath) ? { metadata: annotations.get(filePath) } : {}),
+    });
+    for (const chunk of chunkText(content, { maxTokens: chunkSize, overlap: chunkOverlap, headings: format !== "code" })) {
+      pending.push({
+        position: next.chunks.length,
+        text: chunkEmbeddingText(chunk.heading, chunk.text),
+      });
+      next.chunks.push({
+        doc,
+        start: chunk.start,
+        end: chunk.end,
+        heading: chunk.heading,
+        preview: chunk.text.substring(0, 200).replace(/\n/g, " "),
+      });
+      next.embeddings.push(null);
+      next.ann?.assignments.push(-1);
+      next.lexical.chunks.push(countTerms(next.lexical, `${chunk.heading || ""}\n${chunk.text}`));
+    }
+  }
 
-  results.sort((a, b) => b.similarity - a.similarity);
-  return results.slice(0, topK);
+  const embeddings = await embedTexts(pending.map(c => c.text), { onProgress, options });
+  const dimension = index.metadata.embedding_dimension || index.embeddings[0]?.length;
+  if (embeddings.length > 0 && dimension && embeddings[0].length !== dimension) {
+    throw new Error(`Embedding dimension ${embeddings[0].length} does not match the index (${dimension})`);
+  }
+  pending.forEach((c, j) => {
+    next.embeddings[c.position] = embeddings[j];
+  });
+  // New vectors are unit length; vectors kept from older indexes may not be
+  next.metadata.embedding_normalization = next.embeddings.length === embeddings.length ||
+    index.metadata.embedding_normalization === "l2" ? "l2" : "none";
+
+  return { index: next, embedded: pending.length };
 }
 
 /**
- * RAG: Retrieve and Generate
+ * Build or update the index from documents.
+ * Source directories are walked recursively; every format ingest.js supports is indexed
+ * unless `include` / `exclude` globs narrow it down.
+ * Only new or changed files (by mtime/size, then content hash) are re-embedded,
+ * and documents whose source file no longer exists are dropped.
+ * Pass force to rebuild from scratch.
+ * onProgress(batchNumber, totalBatches) is called before each embedding batch.
  */
-async function ragQuery(question, topK = 3) {
-  console.log(`💡 RAG Query: "${question}"`);
+export async function buildIndex({
+  maxDocs = 100,
+  documentsPath = DOCUMENTS_PATH,
+  sources = [documentsPath ?? requireSetting(config, "paths.documents")],
+  include,
+  exclude,
+  indexPath = INDEX_PATH,
+  chunkSize = 256,
+  chunkOverlap = 32,
+  force = false,
+  onProgress,
+  ...options
+} = {}) {
+  const files = await findDocuments(sources, { include, exclude, maxDocs });
 
-  // Retrieve relevant documents
-  const results = await queryIndex(question, topK);
+  const existing = force ? null : await loadIndex(indexPath);
+  if (existing) checkEmbeddingModel(existing, options.embeddingModel, "update the index");
+  // An update keeps the model the index was embedded (or re-embedded) with
+  const embeddingModel = options.embeddingModel || (existing && indexEmbeddingModel(existing)) || DEFAULT_EMBEDDING_MODEL;
+  // Changing chunk settings invalidates every stored chunk
+  const reuse = existing &&
+    existing.metadata.chunk_size === chunkSize &&
+    existing.metadata.chunk_overlap === chunkOverlap;
+  const index = reuse ? existing : { documents: [], chunks: [], embeddings: [], metadata: { created: new Date().toISOString() } };
+  index.metadata.chunk_size = chunkSize;
+  index.metadata.chunk_overlap = chunkOverlap;
+  index.metadata.embedding_model = embeddingModel;
 
-  if (results.length === 0) {
-    console.log("   No documents found. Build index first.");
-    return;
+  const stats = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+  const remove = new Set();
+  const add = [];
+  // Documents indexed before paths were recorded can only be matched in the documents directory
+  const legacyRoot = index.documents.some(doc => !doc.path)
+    ? documentsPath ?? requireSetting(config, "paths.documents")
+    : documentsPath;
+  const byPath = new Map(index.documents.map((doc, i) => [documentPath(doc, legacyRoot), i]));
+
+  // Drop documents whose source file is gone
+  for (const [filePath, i] of byPath) {
+    try {
+      await fs.stat(filePath);
+    } catch {
+      remove.add(i);
+      stats.removed++;
+    }
   }
 
-  // Load full content of top documents
-  const contexts = [];
-  for (const result of results) {
+  for (const { path: filePath } of files) {
     try {
-      const content = await fs.readFile(`${DOCUMENTS_PATH}/${result.filename}`, "utf-8");
-      contexts.push({
-        filename: result.filename,
-        content: content.substring(0, 1500),
-        similarity: result.similarity,
-      });
+      const stat = await fs.stat(filePath);
+      const i = byPath.get(filePath);
+      const doc = i === undefined ? null : index.documents[i];
+
+      if (doc && doc.mtime === stat.mtimeMs && doc.size === stat.size) {
+        stats.unchanged++;
+        continue;
+      }
+
+      const { text: content, format, language } = await readDocument(filePath);
+      if (doc && doc.hash === hashContent(content)) {
+        doc.mtime = stat.mtimeMs;
+        doc.size = stat.size;
+        stats.unchanged++;
+        continue;
+      }
+
+      if (doc) {
+        remove.add(i);
+        stats.updated++;
+      } else {
+        stats.added++;
+      }
+      add.push({ filePath, content, stat, format, language });
     } catch {
-      // Skip
+      // Skip unreadable files
     }
   }
 
-  console.log(`\n   Retrieved ${contexts.length} relevant documents:`);
-  contexts.forEach((c, i) => {
-    console.log(`   ${i + 1}. ${c.filename} (similarity: ${c.similarity.toFixed(4)})`);
+  const result = await applyChanges(index, {
+    remove,
+    add,
+    chunkSize,
+    chunkOverlap,
+    onProgress,
+    options: { ...options, embeddingModel },
   });
+  await saveIndex(result.index, indexPath, { documentsPath });
 
-  // Generate answer using watsonx
-  const watsonx = getClient();
-  const contextText = contexts.map(c => `[${c.filename}]\n${c.content}`).join("\n\n---\n\n");
+  return {
+    documents: result.index.documents.length,
+    chunks: result.index.chunks.length,
+    ...stats,
+    embedded_chunks: result.embedded,
+    files_found: files.length,
+    sources,
+    index_path: indexPath,
+  };
+}
+
+/**
+ * Add (or re-index) a single file
+ */
+export async function addDocument(filePath, {
+  indexPath = INDEX_PATH,
+  documentsPath = DOCUMENTS_PATH,
+  onProgress,
+  ...options
+} = {}) {
+  const resolved = path.resolve(filePath);
+  const stat = await fs.stat(resolved);
+  const { text: content, format, language } = await readDocument(resolved);
+
+  const index = await loadIndex(indexPath);
+  const chunkSize = index.metadata.chunk_size || 256;
+  const chunkOverlap = index.metadata.chunk_overlap || 32;
+  // New chunks must use the model the rest of the index was embedded with
+  checkEmbeddingModel(index, options.embeddingModel, "add documents");
+  const embeddingModel = indexEmbeddingModel(index) || options.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+  const remove = new Set();
+  index.documents.forEach((doc, i) => {
+    if (doc.path === resolved) remove.add(i);
+  });
+
+  const result = await applyChanges(index, {
+    remove,
+    add: [{ filePath: resolved, content, stat, format, language }],
+    chunkSize,
+    chunkOverlap,
+    onProgress,
+    options: { ...options, embeddingModel },
+  });
+  result.index.metadata.chunk_size = chunkSize;
+  result.index.metadata.chunk_overlap = chunkOverlap;
+  result.index.metadata.embedding_model = embeddingModel;
+  await saveIndex(result.index, indexPath, { documentsPath });
+
+  return {
+    path: resolved,
+    replaced: remove.size > 0,
+    embedded_chunks: result.embedded,
+    documents: result.index.documents.length,
+  };
+}
+
+/**
+ * Remove documents by filename or path
+ */
+export async function removeDocument(name, { indexPath = INDEX_PATH, documentsPath = DOCUMENTS_PATH } = {}) {
+  const index = await loadIndex(indexPath);
+  const resolved = path.resolve(name);
+  const remove = new Set();
+  index.documents.forEach((doc, i) => {
+    if (doc.filename === name || doc.path === resolved) remove.add(i);
+  });
+  if (remove.size === 0) {
+    throw new Error(`Document not found in index: ${name}`);
+  }
+
+  const result = await applyChanges(index, { remove });
+  await saveIndex(result.index, indexPath, { documentsPath });
+  return { removed: remove.size, documents: result.index.documents.length };
+}
+
+/**
+ * Read the passage a chunk points to from its source document (falls back to the stored preview).
+ * Each document is extracted once per `cache`, so several hits from one PDF parse it once.
+ */
+async function readPassage(index, chunk, documentsPath, cache = new Map()) {
+  if (!cache.has(chunk.doc)) cache.set(chunk.doc, readSource(index.documents[chunk.doc], documentsPath));
+  const content = await cache.get(chunk.doc);
+  return content !== null ? content.substring(chunk.start, chunk.end) : chunk.preview;
+}
 
-  console.log("\n   Generating answer with Granite 3.3...\n");
+/**
+ * Chunks whose document metadata (plus the chunk heading) passes a filter
+ * expression or predicate. Returns { allowed(i), ids }.
+ */
+function filterChunks(index, filter, documentsPath) {
+  const predicate = compileFilter(filter);
+  const metadata = index.documents.map(doc => documentMetadata(doc, documentsPath));
+  const mask = Uint8Array.from(index.chunks, c => predicate({ ...metadata[c.doc], heading: c.heading }) ? 1 : 0);
+  const ids = [];
+  mask.forEach((ok, i) => ok && ids.push(i));
+  return { allowed: i => mask[i] === 1, ids };
+}
+
+/**
+ * Vector candidates: approximate (IVF) when available, otherwise an exact scan.
+ * Only chunks in `candidates` (all when null) are considered.
+ * Returns [{ i, similarity }], best first.
+ */
+function vectorSearch(index, queryEmbedding, { topK, probes, exact, candidates }) {
+  // Unit-length index vectors only need a dot product with the normalized query
+  const unit = index.metadata.embedding_normalization === "l2";
+  const query = unit ? normalizeVector(queryEmbedding) : queryEmbedding;
+  const score = unit
+    ? i => dotProduct(query, index.embeddings[i])
+    : i => cosineSimilarity(query, index.embeddings[i]);
+  const ranked = index.ann && !exact
+    ? searchIvf(index.ann, queryEmbedding, score, { topK, probes, allowed: candidates?.allowed })
+    : [];
+  const ids = candidates?.ids || index.embeddings.map((_, i) => i);
+  if (ranked.length >= Math.min(topK, ids.length)) return ranked;
+  return ids
+    .map(i => ({ i, similarity: score(i) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, topK);
+}
+
+/**
+ * Reciprocal rank fusion: score = Σ 1 / (k + rank) over every ranking a chunk appears in
+ */
+function fuseRankings(rankings, k = 60) {
+  const fused = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((hit, rank) => {
+      const entry = fused.get(hit.i) || { i: hit.i, score: 0 };
+      fused.set(hit.i, { ...entry, ...hit, score: entry.score + 1 / (k + rank + 1) });
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Reorder hits with the watsonx rerank endpoint. Each hit needs its passage text.
+ */
+async function rerankHits(query, hits, modelId, options) {
+  if (hits.length === 0) return hits;
+  const { watsonx, scope } = resolveContext(options);
+  const response = await watsonx.textRerank({
+    modelId,
+    ...scope,
+    query,
+    inputs: hits.map(h => ({ text: h.text })),
+  });
+  return response.result.results
+    .map(r => ({ ...hits[r.index], score: r.score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+export const SEARCH_MODES = ["vector", "lexical", "hybrid"];
+export const DEFAULT_RERANK_MODEL = config.models.rerank;
+
+/**
+ * Query the index.
+ * Returns the best matching passages:
+ * [{ filename, chunk, start, end, heading, text, similarity, bm25, score }],
+ * ordered by `score` (cosine similarity, BM25, fused or rerank score depending on mode).
+ *
+ * - mode "vector" (default) ranks by embedding similarity, "lexical" by BM25
+ *   keyword score, "hybrid" fuses both rankings with reciprocal rank fusion
+ * - rerank (true or a rerank model id) reorders the candidates with watsonx rerank
+ * - filter (expression such as `category=technical AND modified>2025-01-01`, or a
+ *   predicate over document metadata) restricts the chunks considered before ranking
+ * - collections (a name or list of names) queries named collections instead of indexPath
+ * - Indexes with an IVF sidecar are searched approximately, scanning the `probes`
+ *   nearest clusters (higher = better recall, slower). Pass exact to scan every
+ *   chunk; small indexes, or probes that find fewer than topK hits, are scanned exactly.
+ */
+export async function queryIndex(query, {
+  topK = 5,
+  indexPath = INDEX_PATH,
+  documentsPath = DOCUMENTS_PATH,
+  mode = "vector",
+  rerank = false,
+  filter,
+  probes = DEFAULT_PROBES,
+  exact = false,
+  collections,
+  ...options
+} = {}) {
+  if (collections) {
+    return queryCollections(query, [].concat(collections), { topK, mode, rerank, filter, probes, exact, ...options });
+  }
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode: ${mode}. Use "vector", "lexical" or "hybrid".`);
+  }
+  const index = await loadIndexCached(indexPath);
+  if (index.chunks.length === 0) {
+    return [];
+  }
+
+  const candidates = filter ? filterChunks(index, filter, documentsPath) : null;
+  if (candidates?.ids.length === 0) {
+    return [];
+  }
+
+  // Fusion and reranking work from a wider candidate pool than the final topK
+  const pool = mode === "hybrid" || rerank ? Math.max(topK * 4, 20) : topK;
+  checkEmbeddingModel(index, options.embeddingModel, "query");
+  const embeddingModel = indexEmbeddingModel(index);
+  const queryEmbedding = mode === "lexical" ? null : (await generateEmbeddings([query], { ...options, embeddingModel }))[0];
+  const dimension = index.metadata.embedding_dimension || index.embeddings[0].length;
+  if (queryEmbedding && queryEmbedding.length !== dimension) {
+    throw new Error(`Query embedding has ${queryEmbedding.length} dimensions but the index has ${dimension}`);
+  }
+  const vectorHits = queryEmbedding ? vectorSearch(index, queryEmbedding, { topK: pool, probes, exact, candidates }) : [];
+  const lexicalHits = mode === "vector" ? [] : bm25Search(index.lexical, query, { topK: pool, allowed: candidates?.allowed });
+
+  let ranked;
+  if (mode === "vector") ranked = vectorHits.map(h => ({ ...h, score: h.similarity }));
+  else if (mode === "lexical") ranked = lexicalHits.map(h => ({ ...h, score: h.bm25 }));
+  else ranked = fuseRankings([vectorHits, lexicalHits]).slice(0, pool);
+
+  const sourceCache = new Map();
+  let hits = await Promise.all(ranked.map(async ({ i, similarity, bm25, score }) => {
+    const chunk = index.chunks[i];
+    return {
+      filename: index.documents[chunk.doc].filename,
+      chunk: i,
+      start: chunk.start,
+      end: chunk.end,
+      heading: chunk.heading,
+      text: await readPassage(index, chunk, documentsPath, sourceCache),
+      similarity: similarity ?? (queryEmbedding ? cosineSimilarity(queryEmbedding, index.embeddings[i]) : null),
+      bm25: bm25 ?? null,
+      score,
+    };
+  }));
+
+  if (rerank) {
+    hits = await rerankHits(query, hits, typeof rerank === "string" ? rerank : DEFAULT_RERANK_MODEL, options);
+  }
+  return hits.slice(0, topK);
+}
+
+/**
+ * Query several collections and merge their hits (each tagged with its collection).
+ * Cosine and rerank scores are comparable across collections and are merged by score;
+ * BM25 and fused scores are not, so those rankings are merged with reciprocal rank fusion.
+ */
+async function queryCollections(query, names, { topK = 5, ...options }) {
+  const rankings = [];
+  for (const name of names) {
+    const hits = await queryIndex(query, { ...options, ...(await resolveCollection(name)), topK });
+    rankings.push(hits.map(hit => ({ ...hit, collection: name })));
+  }
+
+  const comparable = options.rerank || !options.mode || options.mode === "vector";
+  if (comparable) {
+    return rankings.flat().sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+  const merged = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((hit, rank) => {
+      const key = `${hit.collection}:${hit.chunk}`;
+      merged.set(key, { ...hit, score: 1 / (60 + rank + 1) });
+    });
+  }
+  return [...merged.values()].sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+export const NOT_FOUND_ANSWER = "Not found in corpus.";
+const HISTORY_MESSAGES = 6;
+const CARRIED_TURNS = 2;
+export const DEFAULT_MIN_SIMILARITY = 0.5;
+
+/**
+ * Turn [n] markers in a generated answer into citations of the numbered passages.
+ * Markers that do not refer to a passage are removed.
+ */
+function extractCitations(answer, passages) {
+  const cited = [];
+  const text = answer.replace(/([ \t]*)\[(\d+(?:\s*,\s*\d+)*)\]([ \t]*)(?=([\s\S]?))/g, (_, before, list, after, next, offset) => {
+    const ids = list.split(",").map(n => parseInt(n)).filter(n => n >= 1 && n <= passages.length);
+    for (const id of ids) if (!cited.includes(id)) cited.push(id);
+    if (ids.length) return `${before}${ids.map(id => `[${id}]`).join("")}${after}`;
+    // A dropped marker takes its surrounding spaces with it, keeping one between words
+    const lineStart = offset === 0 || answer[offset - 1] === "\n";
+    if (lineStart || /^[.,;:!?)]?$/.test(next) || next === "\n") return "";
+    return before || after ? " " : "";
+  });
+  return { text: text.trim(), cited };
+}
+
+/**
+ * RAG: Retrieve and Generate, grounded in the retrieved chunks.
+ * Passages at or above minSimilarity are numbered and passed to the model, which cites
+ * them inline as [n]. If no passage reaches the threshold the model is not called and the
+ * answer is NOT_FOUND_ANSWER; the model can also decline when the passages lack the answer.
+ * For follow-up turns, `history` (chat messages) is shown to the model and `priorPassages`
+ * (passages cited earlier in the conversation) are added to the context.
+ *
+ * Returns {
+ *   question, answer, abstained, reason ("no_passages" | "below_threshold" | "model_declined" | null),
+ *   citations: [{ id, chunk, filename, start, end, heading }],
+ *   retrieved: [{ id, chunk, filename, start, end, heading, text, similarity, bm25, score, used, carried }],
+ *   model_id, min_similarity
+ * }
+ */
+export async function ragQuery(question, {
+  topK = 5,
+  documentsPath = DOCUMENTS_PATH,
+  indexPath = INDEX_PATH,
+  modelId = config.models.generation,
+  minSimilarity = DEFAULT_MIN_SIMILARITY,
+  history = [],
+  priorPassages = [],
+  ...options
+} = {}) {
+  // Retrieve relevant passages; lexical-only hits have no similarity and are always kept
+  const fresh = await queryIndex(question, { topK, indexPath, documentsPath, ...options });
+  const samePassage = (a, b) => a.collection === b.collection && a.filename === b.filename && a.start === b.start;
+  const carried = priorPassages
+    .filter(p => !fresh.some(f => samePassage(f, p)))
+    .map(p => ({ ...p, carried: true }));
+  const passages = [...fresh, ...carried];
+  const grounded = passages.filter(p => p.carried || p.similarity === null || p.similarity >= minSimilarity);
+
+  const retrieved = passages.map(p => {
+    const id = grounded.indexOf(p) + 1;
+    return { id: id || null, ...p, used: id > 0, carried: !!p.carried };
+  });
+  const result = (answer, reason, citations = []) => ({
+    question,
+    answer,
+    abstained: reason !== null,
+    reason,
+    citations,
+    retrieved,
+    model_id: modelId,
+    min_similarity: minSimilarity,
+  });
+
+  if (passages.length === 0) return result(NOT_FOUND_ANSWER, "no_passages");
+  if (grounded.length === 0) return result(NOT_FOUND_ANSWER, "below_threshold");
+
+  // Generate answer using watsonx
+  const { watsonx, scope } = resolveContext(options);
+  const contextText = grounded
+    .map((p, i) => `[${i + 1}] ${p.filename}${p.heading ? ` - ${p.heading}` : ""}\n${p.text}`)
+    .join("\n\n");
+  const conversation = history.length > 0
+    ? `Conversation so far:\n${formatHistory(history)}\n\n`
+    : "";
 
   const response = await watsonx.generateText({
-    modelId: "ibm/granite-3-3-8b-instruct",
-    spaceId: WATSONX_SPACE_ID,
-    input: `You are a helpful assistant. Answer the question based on the provided context documents. If the answer is not in the context, say so.
+    modelId,
+    ...scope,
+    input: `Answer the question using only the numbered context passages. After each sentence, cite the passages it is based on with their numbers in square brackets, e.g. [1] or [2][3]. If the passages do not contain the answer, reply with exactly: NOT_FOUND
 
-Context Documents:
+Context passages:
 ${contextText}
 
-Question: ${question}
+${conversation}Question: ${question}
 
 Answer:`,
     parameters: {
@@ -218,40 +936,229 @@ Answer:`,
     },
   });
 
-  const answer = response.result.results?.[0]?.generated_text?.trim() || "No answer generated";
+  const generated = response.result.results?.[0]?.generated_text?.trim() || "";
+  if (!generated || /^NOT_FOUND\b/.test(generated)) return result(NOT_FOUND_ANSWER, "model_declined");
 
-  console.log("   " + "─".repeat(60));
-  console.log("   Answer:");
-  console.log("   " + answer.split("\n").join("\n   "));
-  console.log("   " + "─".repeat(60));
-  console.log("\n   Sources:");
-  contexts.forEach(c => console.log(`   - ${c.filename}`));
+  const { text, cited } = extractCitations(generated, grounded);
+  const citations = cited.map(id => {
+    const p = grounded[id - 1];
+    return {
+      id,
+      ...(p.collection ? { collection: p.collection } : {}),
+      chunk: p.chunk,
+      filename: p.filename,
+      start: p.start,
+      end: p.end,
+      heading: p.heading,
+    };
+  });
+  return result(text, null, citations);
 }
 
 /**
- * Show index stats
+ * Recent user/assistant turns as "role: content" lines (long answers are shortened)
  */
-async function showStats() {
-  const index = await loadIndex();
-  console.log("📊 Index Statistics");
-  console.log("   " + "─".repeat(40));
-  console.log(`   Documents indexed: ${index.documents.length}`);
-  console.log(`   Created: ${index.metadata.created || "N/A"}`);
-  console.log(`   Updated: ${index.metadata.updated || "N/A"}`);
-  console.log(`   Index file: ${INDEX_PATH}`);
+function formatHistory(messages) {
+  return messages
+    .filter(m => m.role === "user" || m.role === "assistant")
+    .slice(-HISTORY_MESSAGES)
+    .map(m => `${m.role}: ${m.content.length > 1000 ? `${m.content.slice(0, 1000)}...` : m.content}`)
+    .join("\n");
+}
 
-  if (index.documents.length > 0) {
-    console.log("\n   Sample documents:");
-    index.documents.slice(0, 5).forEach(d => {
-      console.log(`   - ${d.filename} (${d.length} chars)`);
-    });
+/**
+ * Rewrite a follow-up question into a standalone search query using the conversation
+ */
+async function rewriteQuestion(question, history, modelId, options) {
+  const { watsonx, scope } = resolveContext(options);
+  const response = await watsonx.generateText({
+    modelId,
+    ...scope,
+    input: `Rewrite the follow-up question so it can be understood without the conversation. Resolve references such as "it", "that" or "the second option" using the conversation. Reply with only the rewritten question.
+
+Conversation:
+${formatHistory(history)}
+
+Follow-up question: ${question}
+
+Standalone question:`,
+    parameters: {
+      max_new_tokens: 100,
+      temperature: 0,
+      stop_sequences: ["\n\n"],
+    },
+  });
+  // Chat-tuned models often start with a newline, so trim before taking the first line
+  const rewritten = response.result.results?.[0]?.generated_text?.trim().split("\n")[0].trim();
+  if (!rewritten) {
+    // stderr: stdout carries the MCP protocol
+    console.error("Follow-up question rewrite came back empty; retrieving with the question as asked");
+    return question;
+  }
+  return rewritten;
+}
+
+/**
+ * Conversational RAG: one turn of a multi-turn conversation kept in a SessionStore session.
+ * Follow-up questions are rewritten into standalone queries before retrieval, the
+ * conversation is shown to the model, and passages cited in the last turns are carried
+ * into the context. Omit sessionId to start a new session.
+ * Returns the ragQuery result plus { session_id, standalone_query, turn }.
+ */
+export async function conversationalRagQuery(question, {
+  store,
+  sessionId,
+  modelId = config.models.generation,
+  ...options
+}) {
+  const session = sessionId ? await store.get(sessionId) : await store.create({ modelId });
+  const turns = session.rag?.turns || [];
+  const history = session.messages;
+
+  const standalone = history.length > 0
+    ? await rewriteQuestion(question, history, modelId, options)
+    : question;
+  const priorPassages = turns.slice(-CARRIED_TURNS).flatMap(t => t.passages || []);
+
+  const result = await ragQuery(standalone, { ...options, modelId, history, priorPassages });
+
+  // Keep the text of cited passages for the next turns; older turns keep only references
+  const cited = result.citations.map(c => {
+    const { id, used, carried, ...passage } = result.retrieved.find(p => p.id === c.id);
+    return passage;
+  });
+  session.rag = {
+    turns: [
+      ...turns.map((t, i) => i < turns.length - CARRIED_TURNS + 1 ? { ...t, passages: undefined } : t),
+      {
+        question,
+        standalone_query: standalone,
+        abstained: result.abstained,
+        citations: result.citations,
+        passages: cited,
+        at: new Date().toISOString(),
+      },
+    ],
+  };
+  await store.append(session.id, [
+    { role: "user", content: question },
+    { role: "assistant", content: result.answer },
+  ]);
+
+  return { ...result, question, session_id: session.id, standalone_query: standalone, turn: session.rag.turns.length };
+}
+
+/**
+ * Collection registry (paths.collections / WATSONX_COLLECTIONS_PATH, default ~/.watsonx-mcp/collections.json)
+ */
+let collectionStore = null;
+
+function getCollectionStore() {
+  if (!collectionStore) {
+    collectionStore = new CollectionStore({ storePath: config.paths.collections });
+  }
+  return collectionStore;
+}
+
+/**
+ * Index options for a named collection, to spread into buildIndex, addDocument,
+ * removeDocument, queryIndex, ragQuery, annotateIndex, migrateIndex or getIndexStats
+ */
+export async function resolveCollection(name) {
+  const collection = await getCollectionStore().get(name);
+  return {
+    indexPath: collection.index_path,
+    documentsPath: collection.sources[0],
+    sources: collection.sources,
+    include: collection.include,
+    exclude: collection.exclude,
+    embeddingModel: collection.model_id || DEFAULT_EMBEDDING_MODEL,
+  };
+}
+
+/**
+ * Register a collection: { name, sources, modelId, indexPath, include, exclude }
+ */
+export async function createCollection(options) {
+  return getCollectionStore().create({ ...options, modelId: options.modelId || DEFAULT_EMBEDDING_MODEL });
+}
+
+/**
+ * Change fields of a registered collection (e.g. { model_id } after reembed)
+ */
+export async function updateCollection(name, fields) {
+  return getCollectionStore().update(name, fields);
+}
+
+/**
+ * Registered collections with their index size (read from the manifest only)
+ */
+export async function listCollections() {
+  const collections = await getCollectionStore().list();
+  return Promise.all(collections.map(async (collection) => {
+    const manifest = await fs.readFile(collection.index_path, "utf-8").then(JSON.parse, () => null);
+    return {
+      ...collection,
+      documents: manifest?.documents.length || 0,
+      chunks: manifest?.chunks?.length || 0,
+      updated: manifest?.metadata.updated || null,
+    };
+  }));
+}
+
+/**
+ * Unregister a collection and delete its index files (source documents are left alone)
+ */
+export async function dropCollection(name) {
+  const collection = await getCollectionStore().drop(name);
+  const { index_path: indexPath } = collection;
+  for (const file of [indexPath, vectorsPath(indexPath), annPath(indexPath), lexicalPath(indexPath)]) {
+    await fs.rm(file, { force: true });
+  }
+  // Remove the collection's directory if it was the default location and is now empty
+  if (indexPath === getCollectionStore().defaultIndexPath(name)) {
+    await fs.rmdir(path.dirname(indexPath)).catch(() => {});
   }
+  return collection;
+}
+
+/**
+ * Index statistics
+ */
+export async function getIndexStats(indexPath = INDEX_PATH) {
+  const index = await loadIndex(indexPath);
+  return {
+    documents: index.documents.length,
+    chunks: index.chunks.length,
+    embedding_model: indexEmbeddingModel(index),
+    dimension: index.embeddings[0]?.length || null,
+    normalization: index.metadata.embedding_normalization || "none",
+    vector_format: index.metadata.vector_dtype || "legacy json",
+    ann: index.ann ? { type: index.ann.type, lists: index.ann.centroids.length } : null,
+    created: index.metadata.created || null,
+    updated: index.metadata.updated || null,
+    index_path: indexPath,
+    sample: index.documents.slice(0, 5).map(d => ({ filename: d.filename, length: d.length })),
+  };
 }
 
 // Main
 async function main() {
   const command = process.argv[2];
   const arg = process.argv[3];
+  const flag = name => {
+    const at = process.argv.indexOf(name);
+    return at > 0 ? process.argv[at + 1] : undefined;
+  };
+  // --collection a,b targets named collections; commands other than search and rag take one
+  const collectionNames = flag("--collection")?.split(",").filter(Boolean) || [];
+  const target = collectionNames.length > 0 ? await resolveCollection(collectionNames[0]) : {};
+  const querySource = collectionNames.length > 1 ? { collections: collectionNames } : target;
+  // --include / --exclude take comma-separated globs (e.g. --include '*.md,docs/**/*.pdf')
+  const globs = {
+    ...(flag("--include") ? { include: flag("--include").split(",") } : {}),
+    ...(flag("--exclude") ? { exclude: flag("--exclude").split(",") } : {}),
+  };
 
   console.log("╔══════════════════════════════════════════════════════════════╗");
   console.log("║           watsonx Embedding Index & RAG                      ║");
@@ -259,15 +1166,61 @@ async function main() {
   console.log("╚══════════════════════════════════════════════════════════════╝");
   console.log("");
 
-  if (!WATSONX_API_KEY || !WATSONX_SPACE_ID) {
-    console.error("Error: WATSONX_API_KEY and WATSONX_SPACE_ID must be set");
+  try {
+    requireWatsonx(config);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
     process.exit(1);
   }
 
   switch (command) {
     case "build": {
+      const force = process.argv.includes("--force");
       const maxDocs = parseInt(arg) || 100;
-      await buildIndex(maxDocs);
+      console.log(`📚 ${force ? "Rebuilding" : "Updating"} embedding index...`);
+      const sources = target.sources || [requireSetting(config, "paths.documents")];
+      console.log(`   Source: ${sources.join(", ")}`);
+      console.log(`   Max documents: ${maxDocs}`);
+      const { include, exclude } = { ...target, ...globs };
+      if (include) console.log(`   Include: ${include.join(", ")}`);
+      if (exclude) console.log(`   Exclude: ${exclude.join(", ")}`);
+
+      const result = await buildIndex({
+        ...target,
+        ...globs,
+        maxDocs,
+        force,
+        onProgress: (batch, total) => console.log(`   Processing batch ${batch}/${total}...`),
+      });
+
+      console.log(`\n✅ Index has ${result.documents} documents (${result.chunks} chunks) from ${result.files_found} files found`);
+      console.log(`   Added: ${result.added}, updated: ${result.updated}, unchanged: ${result.unchanged}, removed: ${result.removed}`);
+      console.log(`   Embedded chunks: ${result.embedded_chunks}`);
+      console.log(`   Saved to: ${result.index_path}`);
+      break;
+    }
+
+    case "add": {
+      if (!arg) {
+        console.log("Usage: embedding-index.js add <path>");
+        process.exit(1);
+      }
+      console.log(`➕ Adding: ${arg}`);
+      const result = await addDocument(arg, target);
+      console.log(`\n✅ ${result.replaced ? "Re-indexed" : "Indexed"} ${result.path} (${result.embedded_chunks} chunks)`);
+      console.log(`   Documents in index: ${result.documents}`);
+      break;
+    }
+
+    case "remove": {
+      if (!arg) {
+        console.log("Usage: embedding-index.js remove <filename>");
+        process.exit(1);
+      }
+      console.log(`➖ Removing: ${arg}`);
+      const result = await removeDocument(arg, target);
+      console.log(`\n✅ Removed ${result.removed} document(s)`);
+      console.log(`   Documents in index: ${result.documents}`);
       break;
     }
 
@@ -276,11 +1229,26 @@ async function main() {
         console.log("Usage: embedding-index.js search '<query>'");
         process.exit(1);
       }
-      const results = await queryIndex(arg, 10);
+      console.log(`🔍 Searching: "${arg}"`);
+      const rerankModel = flag("--rerank");
+      const rerank = process.argv.includes("--rerank") && (rerankModel && !rerankModel.startsWith("--") ? rerankModel : true);
+      const results = await queryIndex(arg, {
+        ...querySource,
+        topK: 10,
+        mode: flag("--mode") || "vector",
+        rerank,
+        filter: flag("--filter"),
+        exact: process.argv.includes("--exact"),
+        ...(flag("--probes") ? { probes: parseInt(flag("--probes")) } : {}),
+      });
+      if (results.length === 0) {
+        console.log("   No matches. If the index is empty, run 'build' first.");
+        break;
+      }
       console.log("\n   Top results:");
       results.forEach((r, i) => {
-        console.log(`   ${i + 1}. ${r.filename} (${r.similarity.toFixed(4)})`);
-        console.log(`      ${r.preview.substring(0, 80)}...`);
+        console.log(`   ${i + 1}. ${r.collection ? `[${r.collection}] ` : ""}${r.filename}${r.heading ? ` › ${r.heading}` : ""} (${r.score.toFixed(4)})`);
+        console.log(`      ${r.text.substring(0, 120).replace(/\n/g, " ")}...`);
       });
       break;
     }
@@ -290,12 +1258,172 @@ async function main() {
         console.log("Usage: embedding-index.js rag '<question>'");
         process.exit(1);
       }
-      await ragQuery(arg);
+      console.log(`💡 RAG Query: "${arg}"`);
+      const ragOptions = {
+        ...querySource,
+        filter: flag("--filter"),
+        ...(flag("--min-similarity") ? { minSimilarity: parseFloat(flag("--min-similarity")) } : {}),
+      };
+      // --session new starts a conversation; --session <id> continues one
+      const session = flag("--session");
+      const result = session
+        ? await conversationalRagQuery(arg, {
+          ...ragOptions,
+          store: new SessionStore({
+            storePath: config.paths.sessions || path.join(CONFIG_DIR, "sessions.json"),
+          }),
+          sessionId: session === "new" ? undefined : session,
+        })
+        : await ragQuery(arg, ragOptions);
+      if (result.standalone_query && result.standalone_query !== arg) {
+        console.log(`   Rewritten as: "${result.standalone_query}"`);
+      }
+
+      console.log(`\n   Retrieved ${result.retrieved.length} passages (min similarity ${result.min_similarity}):`);
+      result.retrieved.forEach(p => {
+        const similarity = p.similarity === null ? "n/a" : p.similarity.toFixed(4);
+        console.log(`   ${p.used ? `[${p.id}]` : " - "} ${p.filename} [${p.start}-${p.end}] (${p.carried ? "from earlier turn" : `similarity: ${similarity}`})`);
+      });
+
+      console.log("   " + "─".repeat(60));
+      console.log("   Answer:");
+      console.log("   " + result.answer.split("\n").join("\n   "));
+      console.log("   " + "─".repeat(60));
+      if (result.abstained) {
+        const reasons = {
+          no_passages: "no passages matched",
+          below_threshold: "no passage reached the similarity threshold",
+          model_declined: "the passages did not contain the answer",
+        };
+        console.log(`\n   Abstained: ${reasons[result.reason]}`);
+      } else {
+        console.log("\n   Citations:");
+        if (result.citations.length === 0) console.log("   (the answer cites no passages)");
+        result.citations.forEach(c => {
+          console.log(`   [${c.id}] ${c.filename}${c.heading ? ` › ${c.heading}` : ""} [${c.start}-${c.end}]`);
+        });
+      }
+      if (result.session_id) {
+        console.log(`\n   Session: ${result.session_id} (turn ${result.turn})`);
+        console.log(`   Follow up with: embedding-index.js rag '<question>' --session ${result.session_id}`);
+      }
       break;
     }
 
     case "stats": {
-      await showStats();
+      const stats = await getIndexStats(target.indexPath);
+      console.log("📊 Index Statistics");
+      console.log("   " + "─".repeat(40));
+      console.log(`   Documents indexed: ${stats.documents}`);
+      console.log(`   Chunks: ${stats.chunks}`);
+      console.log(`   Embedding model: ${stats.embedding_model || "N/A"}`);
+      console.log(`   Vectors: ${stats.vector_format}${stats.dimension ? `, ${stats.dimension} dimensions` : ""}, normalization: ${stats.normalization}`);
+      console.log(`   Search: ${stats.ann ? `approximate (IVF, ${stats.ann.lists} lists)` : "exact"}`);
+      console.log(`   Created: ${stats.created || "N/A"}`);
+      console.log(`   Updated: ${stats.updated || "N/A"}`);
+      console.log(`   Index file: ${stats.index_path}`);
+
+      if (stats.sample.length > 0) {
+        console.log("\n   Sample documents:");
+        stats.sample.forEach(d => {
+          console.log(`   - ${d.filename} (${d.length} chars)`);
+        });
+      }
+      break;
+    }
+
+    case "reembed": {
+      const model = flag("--model");
+      if (!model) {
+        console.log("Usage: embedding-index.js reembed --model <embedding model id> [--collection <name>]");
+        process.exit(1);
+      }
+      console.log(`🔁 Re-embedding index with ${model}...`);
+      const result = await reembedIndex({
+        ...target,
+        embeddingModel: model,
+        onProgress: (batch, total) => console.log(`   Processing batch ${batch}/${total}...`),
+      });
+      if (collectionNames.length > 0) await updateCollection(collectionNames[0], { model_id: model });
+      console.log(`\n✅ Re-embedded ${result.chunks} chunks: ${result.previous_model} → ${result.embedding_model} (${result.dimension} dimensions)`);
+      if (result.from_preview > 0) {
+        console.log(`   ${result.from_preview} chunk(s) used their stored preview because the source file is missing`);
+      }
+      break;
+    }
+
+    case "collection": {
+      switch (arg) {
+        case "create": {
+          const name = process.argv[4];
+          const sources = process.argv.flatMap((a, i) => a === "--source" ? [process.argv[i + 1]] : []);
+          if (!name || name.startsWith("--") || sources.length === 0) {
+            console.log("Usage: embedding-index.js collection create <name> --source <dir> [--source <dir>] [--model <id>] [--index <path>] [--include <globs>] [--exclude <globs>]");
+            process.exit(1);
+          }
+          const collection = await createCollection({ name, sources, modelId: flag("--model"), indexPath: flag("--index"), ...globs });
+          console.log(`✅ Created collection ${collection.name}`);
+          console.log(`   Sources: ${collection.sources.join(", ")}`);
+          if (collection.include) console.log(`   Include: ${collection.include.join(", ")}`);
+          if (collection.exclude) console.log(`   Exclude: ${collection.exclude.join(", ")}`);
+          console.log(`   Model: ${collection.model_id}`);
+          console.log(`   Index: ${collection.index_path}`);
+          console.log(`\n   Build it with: embedding-index.js build --collection ${collection.name}`);
+          break;
+        }
+        case "list": {
+          const collections = await listCollections();
+          if (collections.length === 0) {
+            console.log("   No collections. Create one with 'collection create'.");
+            break;
+          }
+          console.log("📚 Collections");
+          collections.forEach(c => {
+            console.log(`   ${c.name} - ${c.documents} documents, ${c.chunks} chunks (${c.model_id})`);
+            console.log(`      Sources: ${c.sources.join(", ")}`);
+          });
+          break;
+        }
+        case "drop": {
+          const name = process.argv[4];
+          if (!name) {
+            console.log("Usage: embedding-index.js collection drop <name>");
+            process.exit(1);
+          }
+          const collection = await dropCollection(name);
+          console.log(`✅ Dropped collection ${collection.name} (source documents were not touched)`);
+          break;
+        }
+        default:
+          console.log("Usage: embedding-index.js collection <create|list|drop> [args]");
+          process.exit(1);
+      }
+      break;
+    }
+
+    case "annotate": {
+      if (!arg) {
+        console.log("Usage: embedding-index.js annotate <batch-results.json>");
+        process.exit(1);
+      }
+      console.log(`🏷️  Importing metadata from: ${arg}`);
+      const result = await annotateIndex(arg, target);
+      console.log(`\n✅ Annotated ${result.annotated} document(s)`);
+      if (result.unmatched.length > 0) {
+        console.log(`   Not in index: ${result.unmatched.join(", ")}`);
+      }
+      break;
+    }
+
+    case "migrate": {
+      const dtype = process.argv.includes("--int8") ? "int8" : process.argv.includes("--float32") ? "float32" : undefined;
+      console.log("📦 Migrating index to binary vector storage...");
+      const result = await migrateIndex({ ...target, dtype });
+      const mb = bytes => (bytes / 1024 / 1024).toFixed(2);
+      console.log(`\n✅ Stored ${result.chunks} vectors as ${result.dtype}`);
+      console.log(`   Size: ${mb(result.bytes_before)} MB → ${mb(result.bytes_after)} MB`);
+      console.log(`   Manifest: ${result.index_path}`);
+      console.log(`   Vectors: ${result.vectors_path}`);
       break;
     }
 
@@ -303,16 +1431,51 @@ async function main() {
       console.log("Usage: embedding-index.js <command> [args]");
       console.log("");
       console.log("Commands:");
-      console.log("  build [count]     - Build embedding index (default: 100 docs)");
+      console.log("  build [count]     - Build or update embedding index (default: 100 docs)");
+      console.log("                      --force re-embeds everything");
+      console.log("                      --include / --exclude '<glob>,<glob>' choose files (recursive;");
+      console.log("                      txt, md, html, json, pdf, docx and source code are read)");
+      console.log("  add <path>        - Add or re-index a single file");
+      console.log("  remove <filename> - Remove a document from the index");
       console.log("  search <query>    - Search the index");
-      console.log("  rag <question>    - RAG: Retrieve docs and generate answer");
+      console.log("                      --mode vector|lexical|hybrid (default: vector)");
+      console.log("                      --rerank [model] reorders results with watsonx rerank");
+      console.log("                      --probes N trades speed for recall, --exact scans every chunk");
+      console.log("                      --filter '<expr>' restricts results by document metadata");
+      console.log("  rag <question>    - RAG: Retrieve docs and generate a cited answer (accepts --filter)");
+      console.log("                      --min-similarity X abstains when no passage scores X or more (default: 0.5)");
+      console.log("                      --session new|<id> starts or continues a multi-turn conversation");
       console.log("  stats             - Show index statistics");
+      console.log("  annotate <file>   - Import category/topics from batch-processor results");
+      console.log("  migrate           - Convert the index to binary vector storage");
+      console.log("                      --int8 quantizes vectors, --float32 restores full precision");
+      console.log("  reembed --model <id> - Re-embed the index with a different embedding model");
+      console.log("  collection create <name> --source <dir> [--source <dir>] [--model <id>] [--index <path>]");
+      console.log("                      [--include <globs>] [--exclude <globs>]");
+      console.log("  collection list   - List collections");
+      console.log("  collection drop <name> - Delete a collection's index");
+      console.log("");
+      console.log("Every command accepts --collection <name> to work on a named collection;");
+      console.log("search and rag accept several (--collection docs,tickets).");
+      console.log("Paths and models come from the shared configuration (node config.js shows it);");
+      console.log("override them with --config <file>, --documents-path, --index-path or --embedding-model.");
       console.log("");
       console.log("Examples:");
       console.log("  embedding-index.js build 200");
+      console.log("  embedding-index.js build 500 --include '**/*.{md,pdf,docx}' --exclude 'archive/**'");
+      console.log("  embedding-index.js add ./notes/satellite.txt");
+      console.log("  embedding-index.js migrate --int8");
       console.log("  embedding-index.js search 'IBM Cloud'");
+      console.log("  embedding-index.js search 'INC-20417' --mode hybrid --rerank");
+      console.log("  embedding-index.js search 'deployment' --filter 'category=technical AND modified>2025-01-01'");
       console.log("  embedding-index.js rag 'How do I set up AWS for Satellite?'");
+      console.log("  embedding-index.js rag 'What are the setup options?' --session new");
+      console.log("  embedding-index.js collection create tickets --source ./exports/tickets");
+      console.log("  embedding-index.js search 'login failure' --collection docs,tickets");
   }
 }
 
-main().catch(console.error);
+// Run the CLI only when executed directly, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(console.error);
+}
@@ -0,0 +1,136 @@
+/**
+ * Metadata filter expressions
+ * e.g. `category=technical AND modified>2025-01-01`, `type=md OR (topics~satellite AND NOT source_dir~archive)`
+ *
+ * Comparisons: = != > >= < <= and ~ (contains). Strings compare case-insensitively,
+ * numbers numerically and ISO dates chronologically. On list fields (topics) a
+ * comparison matches if any element matches.
+ */
+
+const TOKEN = /\s*(?:(\()|(\))|(>=|<=|!=|=|>|<|~)|"((?:[^"\\]|\\.)*)"|'([^']*)'|([^\s()<>=!~"']+))/y;
+const DATE = /^\d{4}-\d{2}(-\d{2})?([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expression.length) {
+    const start = TOKEN.lastIndex;
+    const m = TOKEN.exec(expression);
+    if (!m) {
+      if (!expression.slice(start).trim()) break;
+      throw new Error(`Invalid filter: unexpected "${expression.slice(start).trim()}"`);
+    }
+    if (m[1] || m[2]) tokens.push({ type: m[1] ? "(" : ")" });
+    else if (m[3]) tokens.push({ type: "op", value: m[3] });
+    else if (m[4] !== undefined || m[5] !== undefined) {
+      tokens.push({ type: "word", value: m[4] !== undefined ? m[4].replace(/\\(.)/g, "$1") : m[5], quoted: true });
+    } else tokens.push({ type: "word", value: m[6] });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a filter expression into a tree of { and }, { or }, { not } and { field, op, value } nodes
+ */
+export function parseFilter(expression) {
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const isKeyword = (word) => tokens[pos]?.type === "word" && !tokens[pos].quoted && tokens[pos].value.toUpperCase() === word;
+
+  function parseOr() {
+    const terms = [parseAnd()];
+    while (isKeyword("OR")) {
+      pos++;
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { or: terms };
+  }
+
+  function parseAnd() {
+    const terms = [parseNot()];
+    while (isKeyword("AND")) {
+      pos++;
+      terms.push(parseNot());
+    }
+    return terms.length === 1 ? terms[0] : { and: terms };
+  }
+
+  function parseNot() {
+    if (isKeyword("NOT")) {
+      pos++;
+      return { not: parseNot() };
+    }
+    if (tokens[pos]?.type === "(") {
+      pos++;
+      const node = parseOr();
+      if (tokens[pos]?.type !== ")") throw new Error("Invalid filter: missing )");
+      pos++;
+      return node;
+    }
+    const [field, op, value] = tokens.slice(pos, pos + 3);
+    if (field?.type !== "word" || op?.type !== "op" || value?.type !== "word") {
+      throw new Error(`Invalid filter: expected <field><op><value> at token ${pos + 1}`);
+    }
+    pos += 3;
+    return { field: field.value, op: op.value, value: value.value };
+  }
+
+  if (tokens.length === 0) throw new Error("Invalid filter: expression is empty");
+  const tree = parseOr();
+  if (pos < tokens.length) throw new Error(`Invalid filter: unexpected token ${pos + 1}`);
+  return tree;
+}
+
+/**
+ * Order two values: numerically, chronologically for ISO dates, else as lowercase strings
+ */
+function compare(actual, expected) {
+  if (typeof actual === "number" && expected.trim() !== "" && !isNaN(Number(expected))) {
+    return actual - Number(expected);
+  }
+  const text = String(actual);
+  if (DATE.test(text) && DATE.test(expected)) {
+    return Date.parse(text) - Date.parse(expected);
+  }
+  return text.toLowerCase().localeCompare(expected.toLowerCase());
+}
+
+function matchesValue(actual, op, expected) {
+  if (actual === null || actual === undefined) return op === "!=";
+  if (Array.isArray(actual)) {
+    return op === "!="
+      ? actual.every(a => matchesValue(a, op, expected))
+      : actual.some(a => matchesValue(a, op, expected));
+  }
+  if (op === "~") return String(actual).toLowerCase().includes(expected.toLowerCase());
+  const order = compare(actual, expected);
+  switch (op) {
+    case "=": return order === 0;
+    case "!=": return order !== 0;
+    case ">": return order > 0;
+    case ">=": return order >= 0;
+    case "<": return order < 0;
+    case "<=": return order <= 0;
+  }
+  return false;
+}
+
+/**
+ * Evaluate a parsed filter against a metadata object
+ */
+export function matchesFilter(tree, metadata) {
+  if (tree.and) return tree.and.every(t => matchesFilter(t, metadata));
+  if (tree.or) return tree.or.some(t => matchesFilter(t, metadata));
+  if (tree.not) return !matchesFilter(tree.not, metadata);
+  return matchesValue(metadata[tree.field], tree.op, tree.value);
+}
+
+/**
+ * Compile a filter (expression string or predicate function) into a predicate
+ */
+export function compileFilter(filter) {
+  if (typeof filter === "function") return filter;
+  const tree = parseFilter(filter);
+  return (metadata) => matchesFilter(tree, metadata);
+}
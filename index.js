@@ -6,83 +6,77 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { WatsonXAI } from "@ibm-cloud/watsonx-ai";
-import { IamAuthenticator } from "ibm-cloud-sdk-core";
-// import KeyProtectV2 from "@ibm-cloud/key-protect"; // Temporarily disabled - package not available
-
-// Configuration from environment
-const WATSONX_API_KEY = process.env.WATSONX_API_KEY;
-const WATSONX_PROJECT_ID = process.env.WATSONX_PROJECT_ID;
-const WATSONX_SPACE_ID = process.env.WATSONX_SPACE_ID; // Deployment space (preferred)
-const WATSONX_URL = process.env.WATSONX_URL || "https://us-south.ml.cloud.ibm.com";
-
-// IBM Z / Key Protect configuration
-const KEY_PROTECT_API_KEY = process.env.KEY_PROTECT_API_KEY || process.env.WATSONX_API_KEY;
-const KEY_PROTECT_INSTANCE_ID = process.env.KEY_PROTECT_INSTANCE_ID;
-const KEY_PROTECT_URL = process.env.KEY_PROTECT_URL || "https://us-south.kms.cloud.ibm.com";
-
-// z/OS Connect configuration (optional - requires mainframe access)
-const ZOS_CONNECT_URL = process.env.ZOS_CONNECT_URL;
-const ZOS_CONNECT_API_KEY = process.env.ZOS_CONNECT_API_KEY;
-
-// Initialize watsonx.ai client
-let watsonxClient = null;
+import { chatCompletion } from "./chat.js";
+import { getConfig } from "./config.js";
+import { buildIndex, conversationalRagQuery, listCollections, queryIndex, ragQuery, resolveCollection } from "./embedding-index.js";
+import { streamGeneration } from "./streaming.js";
+import { createKeyProtectClient } from "./key-protect.js";
+import { SessionStore, fitSessionToContext } from "./sessions.js";
+import { ZosConnectClient } from "./zos-connect.js";
+import { getScope, getWatsonxClient } from "./watsonx-client.js";
+
+// Configuration from the config file, environment and flags (see config.js)
+const config = getConfig();
+const { generation: GENERATION_MODEL, embedding: EMBEDDING_MODEL } = config.models;
+
 let keyProtectClient = null;
+let zosConnectClient = null;
+// Chat sessions are kept in memory, or persisted to paths.sessions (WATSONX_SESSION_STORE) when set
+const sessionStore = new SessionStore({ storePath: config.paths.sessions });
 
-function getWatsonxClient() {
-  if (!watsonxClient && WATSONX_API_KEY) {
-    watsonxClient = WatsonXAI.newInstance({
-      version: "2024-05-31",
-      serviceUrl: WATSONX_URL,
-      authenticator: new IamAuthenticator({
-        apikey: WATSONX_API_KEY,
-      }),
+// Initialize Key Protect client (IBM Z HSM-backed key management, or local stand-in)
+function getKeyProtectClient() {
+  if (!keyProtectClient) {
+    const { keyProtect } = config;
+    keyProtectClient = createKeyProtectClient({
+      backend: keyProtect.backend,
+      apiKey: keyProtect.apiKey || config.watsonx.apiKey,
+      instanceId: keyProtect.instanceId,
+      serviceUrl: keyProtect.url,
+      localStorePath: keyProtect.localStore,
     });
   }
-  return watsonxClient;
+  return keyProtectClient;
 }
 
-// Initialize Key Protect client (IBM Z HSM-backed key management)
-function getKeyProtectClient() {
-  // Temporarily disabled - @ibm-cloud/key-protect package not available
-  // if (!keyProtectClient && KEY_PROTECT_API_KEY && KEY_PROTECT_INSTANCE_ID) {
-  //   keyProtectClient = KeyProtectV2.newInstance({
-  //     authenticator: new IamAuthenticator({
-  //       apikey: KEY_PROTECT_API_KEY,
-  //     }),
-  //     serviceUrl: KEY_PROTECT_URL,
-  //   });
-  //   keyProtectClient.setServiceUrl(KEY_PROTECT_URL);
-  // }
-  return null; // Disabled
-}
-
-// z/OS Connect API caller (for mainframe integration)
-async function callZosConnect(endpoint, method = "GET", body = null) {
-  if (!ZOS_CONNECT_URL) {
-    throw new Error("z/OS Connect not configured. Set ZOS_CONNECT_URL environment variable.");
+// Initialize z/OS Connect client (for mainframe integration)
+function getZosConnectClient() {
+  if (!zosConnectClient) {
+    const { zosConnect } = config;
+    zosConnectClient = new ZosConnectClient({
+      baseUrl: zosConnect.url,
+      auth: {
+        type: zosConnect.auth,
+        apiKey: zosConnect.apiKey,
+        apiKeyHeader: zosConnect.apiKeyHeader,
+        username: zosConnect.username,
+        password: zosConnect.password,
+      },
+      headers: zosConnect.headers || {},
+    });
   }
+  return zosConnectClient;
+}
 
-  const url = `${ZOS_CONNECT_URL}${endpoint}`;
-  const headers = {
-    "Content-Type": "application/json",
-    "Accept": "application/json",
+// Relay streamed text to the client as progress notifications tied to the request's progress token
+function progressRelay(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  let progress = 0;
+  return async (delta) => {
+    if (progressToken === undefined) return;
+    progress += delta.length;
+    await extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress, message: delta },
+    });
   };
+}
 
-  if (ZOS_CONNECT_API_KEY) {
-    headers["Authorization"] = `Bearer ${ZOS_CONNECT_API_KEY}`;
-  }
-
-  const options = { method, headers };
-  if (body && (method === "POST" || method === "PUT")) {
-    options.body = JSON.stringify(body);
-  }
-
-  const response = await fetch(url, options);
-  if (!response.ok) {
-    throw new Error(`z/OS Connect error: ${response.status} ${response.statusText}`);
-  }
-  return response.json();
+// Service name used in tool error messages
+function serviceLabel(toolName) {
+  if (toolName.startsWith("key_protect_")) return "Key Protect";
+  if (toolName.startsWith("zos_connect_")) return "z/OS Connect";
+  return "watsonx.ai";
 }
 
 // Create MCP server
@@ -115,7 +109,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             model_id: {
               type: "string",
               description: "Model ID (e.g., 'ibm/granite-3-3-8b-instruct', 'meta-llama/llama-3-70b-instruct')",
-              default: "ibm/granite-3-3-8b-instruct",
+              default: GENERATION_MODEL,
             },
             max_new_tokens: {
               type: "number",
@@ -137,6 +131,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: "Top-k sampling",
               default: 50,
             },
+            stream: {
+              type: "boolean",
+              description: "Stream partial text as MCP progress notifications (requires a progress token), then return the full text",
+              default: false,
+            },
           },
           required: ["prompt"],
         },
@@ -163,7 +162,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             model_id: {
               type: "string",
               description: "Embedding model ID",
-              default: "ibm/slate-125m-english-rtrvr-v2",
+              default: EMBEDDING_MODEL,
             },
           },
           required: ["texts"],
@@ -171,7 +170,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "watsonx_chat",
-        description: "Have a conversation with watsonx.ai chat models",
+        description: "Have a conversation with watsonx.ai chat models using the native chat API (falls back to text generation for models without chat support). Supports function calling via tools/tool_choice. Returns the reply followed by tool calls, finish reason and token usage.",
         inputSchema: {
           type: "object",
           properties: {
@@ -180,16 +179,57 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               items: {
                 type: "object",
                 properties: {
-                  role: { type: "string", enum: ["system", "user", "assistant"] },
+                  role: { type: "string", enum: ["system", "user", "assistant", "tool"] },
                   content: { type: "string" },
+                  tool_call_id: {
+                    type: "string",
+                    description: "ID of the tool call this message answers (role 'tool' only)",
+                  },
+                  tool_calls: {
+                    type: "array",
+                    items: { type: "object" },
+                    description: "Tool calls previously returned by the model (role 'assistant' only)",
+                  },
                 },
+                required: ["role"],
               },
-              description: "Array of chat messages",
+              description: "Array of chat messages (with session_id: only the new messages)",
+            },
+            session_id: {
+              type: "string",
+              description: "Continue a server-side session created with watsonx_session_create; the reply is appended to it",
+            },
+            tools: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  type: { type: "string", enum: ["function"] },
+                  function: {
+                    type: "object",
+                    properties: {
+                      name: { type: "string" },
+                      description: { type: "string" },
+                      parameters: { type: "object", description: "JSON Schema for the function arguments" },
+                    },
+                    required: ["name"],
+                  },
+                },
+                required: ["type", "function"],
+              },
+              description: "Functions the model may call",
+            },
+            tool_choice: {
+              description: "'auto', 'none', 'required', a function name, or { type: 'function', function: { name } }",
+              oneOf: [
+                { type: "string" },
+                { type: "object" },
+              ],
             },
             model_id: {
               type: "string",
               description: "Chat model ID",
-              default: "ibm/granite-3-3-8b-instruct",
+              default: GENERATION_MODEL,
             },
             max_new_tokens: {
               type: "number",
@@ -199,8 +239,288 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "number",
               default: 0.7,
             },
+            stream: {
+              type: "boolean",
+              description: "Stream partial text as MCP progress notifications (requires a progress token), then return the full text",
+              default: false,
+            },
+          },
+        },
+      },
+      {
+        name: "watsonx_session_create",
+        description: "Create a server-side conversation session for watsonx_chat. History that outgrows the model's context window is truncated or summarized.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            model_id: {
+              type: "string",
+              description: "Default chat model for the session",
+              default: GENERATION_MODEL,
+            },
+            system_prompt: {
+              type: "string",
+              description: "System prompt kept at the start of every request",
+            },
+            messages: {
+              type: "array",
+              items: { type: "object" },
+              description: "Initial messages",
+            },
+            overflow: {
+              type: "string",
+              enum: ["truncate", "summarize"],
+              description: "What to do when the history exceeds the context window: drop the oldest turns or summarize them",
+              default: "truncate",
+            },
           },
-          required: ["messages"],
+        },
+      },
+      {
+        name: "watsonx_session_append",
+        description: "Append messages to a session without generating a reply",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            messages: {
+              type: "array",
+              items: { type: "object" },
+              description: "Messages to append",
+            },
+          },
+          required: ["session_id", "messages"],
+        },
+      },
+      {
+        name: "watsonx_session_list",
+        description: "List conversation sessions",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "watsonx_session_fork",
+        description: "Copy a session into a new one, optionally keeping only its first N messages",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            at_message: {
+              type: "number",
+              description: "Number of messages to keep (default: all)",
+            },
+          },
+          required: ["session_id"],
+        },
+      },
+      {
+        name: "watsonx_session_delete",
+        description: "Delete a conversation session",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+          },
+          required: ["session_id"],
+        },
+      },
+      // Embedding index / RAG Tools
+      {
+        name: "index_build",
+        description: "Build or incrementally update the embedding index from a directory of documents (text, Markdown, HTML, JSON, PDF, DOCX and source code, searched recursively). Only new or changed files are re-embedded; deleted files are dropped.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            max_docs: {
+              type: "number",
+              description: "Maximum number of documents to index",
+              default: 100,
+            },
+            documents_path: {
+              type: "string",
+              description: "Directory containing the documents (defaults to the configured documents path)",
+            },
+            force: {
+              type: "boolean",
+              description: "Rebuild from scratch, re-embedding every document",
+              default: false,
+            },
+            include: {
+              type: "array",
+              items: { type: "string" },
+              description: "Glob patterns of files to index, relative to the documents directory (e.g. \"**/*.md\", \"reports/*.pdf\"). Defaults to every supported format.",
+            },
+            exclude: {
+              type: "array",
+              items: { type: "string" },
+              description: "Glob patterns of files or directories to skip (hidden files and node_modules are always skipped)",
+            },
+            collection: {
+              type: "string",
+              description: "Build a named collection (its own sources, model and index) instead of the default index",
+            },
+          },
+        },
+      },
+      {
+        name: "index_search",
+        description: "Semantic search over the embedding index. Returns the best matching passages with document offsets and similarity scores.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            query: {
+              type: "string",
+              description: "Search query",
+            },
+            top_k: {
+              type: "number",
+              description: "Number of hits to return",
+              default: 5,
+            },
+            mode: {
+              type: "string",
+              enum: ["vector", "lexical", "hybrid"],
+              description: "Retrieval mode: embedding similarity, BM25 keywords, or both fused with reciprocal rank fusion",
+              default: "vector",
+            },
+            rerank: {
+              type: "boolean",
+              description: "Reorder candidates with the watsonx rerank model",
+              default: false,
+            },
+            collections: {
+              type: "array",
+              items: { type: "string" },
+              description: "Named collections to query (results are merged); defaults to the default index",
+            },
+            filter: {
+              type: "string",
+              description: "Metadata filter applied before ranking, e.g. \"category=technical AND modified>2025-01-01\". Fields: filename, path, source_dir, type, modified, size, category, topics, summary, heading",
+            },
+            probes: {
+              type: "number",
+              description: "Clusters scanned by approximate search on large indexes (higher = better recall, slower)",
+              default: 8,
+            },
+            exact: {
+              type: "boolean",
+              description: "Scan every chunk instead of using approximate search",
+              default: false,
+            },
+          },
+          required: ["query"],
+        },
+      },
+      {
+        name: "collection_list",
+        description: "List named embedding index collections with their sources, embedding model and size.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "rag_query",
+        description: "Answer a question from the indexed corpus (retrieval augmented generation). The answer cites passages inline as [n]; returns the answer, citations and retrieved chunks with scores, or abstains (\"Not found in corpus.\") when no passage is similar enough.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            question: {
+              type: "string",
+              description: "Question to answer",
+            },
+            top_k: {
+              type: "number",
+              description: "Number of passages to retrieve",
+              default: 5,
+            },
+            mode: {
+              type: "string",
+              enum: ["vector", "lexical", "hybrid"],
+              description: "Retrieval mode: embedding similarity, BM25 keywords, or both fused with reciprocal rank fusion",
+              default: "vector",
+            },
+            rerank: {
+              type: "boolean",
+              description: "Reorder candidates with the watsonx rerank model",
+              default: false,
+            },
+            collections: {
+              type: "array",
+              items: { type: "string" },
+              description: "Named collections to query (results are merged); defaults to the default index",
+            },
+            filter: {
+              type: "string",
+              description: "Metadata filter applied before ranking, e.g. \"category=technical AND modified>2025-01-01\". Fields: filename, path, source_dir, type, modified, size, category, topics, summary, heading",
+            },
+            model_id: {
+              type: "string",
+              description: "Model used to generate the answer",
+              default: GENERATION_MODEL,
+            },
+            min_similarity: {
+              type: "number",
+              description: "Abstain without calling the model when no retrieved passage reaches this similarity",
+              default: 0.5,
+            },
+          },
+          required: ["question"],
+        },
+      },
+      {
+        name: "rag_chat",
+        description: "Multi-turn RAG over the indexed corpus. Follow-up questions are rewritten into standalone queries using the session history, and passages cited in recent turns stay in context. Omit session_id to start a new conversation; the result includes session_id for follow-ups.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            question: {
+              type: "string",
+              description: "Question or follow-up to answer",
+            },
+            session_id: {
+              type: "string",
+              description: "Conversation to continue (from a previous rag_chat result)",
+            },
+            top_k: {
+              type: "number",
+              description: "Number of passages to retrieve",
+              default: 5,
+            },
+            mode: {
+              type: "string",
+              enum: ["vector", "lexical", "hybrid"],
+              description: "Retrieval mode: embedding similarity, BM25 keywords, or both fused with reciprocal rank fusion",
+              default: "vector",
+            },
+            rerank: {
+              type: "boolean",
+              description: "Reorder candidates with the watsonx rerank model",
+              default: false,
+            },
+            collections: {
+              type: "array",
+              items: { type: "string" },
+              description: "Named collections to query (results are merged); defaults to the default index",
+            },
+            filter: {
+              type: "string",
+              description: "Metadata filter applied before ranking, e.g. \"category=technical AND modified>2025-01-01\". Fields: filename, path, source_dir, type, modified, size, category, topics, summary, heading",
+            },
+            model_id: {
+              type: "string",
+              description: "Model used to generate the answer",
+              default: GENERATION_MODEL,
+            },
+            min_similarity: {
+              type: "number",
+              description: "Abstain without calling the model when no retrieved passage reaches this similarity",
+              default: 0.5,
+            },
+          },
+          required: ["question"],
         },
       },
       // IBM Z / Key Protect Tools
@@ -245,8 +565,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             extractable: {
               type: "boolean",
-              description: "Whether the key material can be extracted",
-              default: false,
+              description: "Whether the key material can be extracted (standard keys only; root keys are never extractable)",
             },
           },
           required: ["name"],
@@ -278,7 +597,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             plaintext: {
               type: "string",
-              description: "Base64-encoded data encryption key to wrap",
+              description: "Base64-encoded data encryption key to wrap. Omit it to generate a new 256-bit key, returned with its ciphertext",
             },
             aad: {
               type: "array",
@@ -286,7 +605,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: "Additional authentication data (AAD) for AEAD encryption",
             },
           },
-          required: ["key_id", "plaintext"],
+          required: ["key_id"],
         },
       },
       {
@@ -342,7 +661,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "zos_connect_call_service",
-        description: "Call a z/OS Connect service to interact with mainframe programs (CICS, IMS, batch). Requires ZOS_CONNECT_URL to be configured.",
+        description: "Call a z/OS Connect service to interact with mainframe programs (CICS, IMS, batch). The payload is validated against the service's request schema before sending. Requires ZOS_CONNECT_URL to be configured.",
         inputSchema: {
           type: "object",
           properties: {
@@ -382,16 +701,17 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
 });
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
   const client = getWatsonxClient();
 
-  if (!client) {
+  const needsWatsonx = !name.startsWith("key_protect_") && !name.startsWith("zos_connect_");
+  if (!client && needsWatsonx) {
     return {
       content: [
         {
           type: "text",
-          text: "Error: watsonx.ai not configured. Set WATSONX_API_KEY environment variable.",
+          text: "Error: watsonx.ai not configured. Set WATSONX_API_KEY or watsonx.apiKey in the config file.",
         },
       ],
     };
@@ -402,25 +722,25 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case "watsonx_generate": {
         const params = {
           input: args.prompt,
-          modelId: args.model_id || "ibm/granite-3-3-8b-instruct",
+          modelId: args.model_id || GENERATION_MODEL,
           parameters: {
             max_new_tokens: args.max_new_tokens || 500,
             temperature: args.temperature || 0.7,
             top_p: args.top_p || 1.0,
             top_k: args.top_k || 50,
           },
+          ...getScope(),
         };
 
-        // Add spaceId (preferred) or projectId
-        if (WATSONX_SPACE_ID) {
-          params.spaceId = WATSONX_SPACE_ID;
-        } else if (WATSONX_PROJECT_ID) {
-          params.projectId = WATSONX_PROJECT_ID;
+        let generatedText;
+        if (args.stream) {
+          const result = await streamGeneration(client, params, progressRelay(request, extra), extra.signal);
+          generatedText = result.text;
+        } else {
+          const response = await client.generateText(params);
+          generatedText = response.result.results?.[0]?.generated_text || "";
         }
 
-        const response = await client.generateText(params);
-
-        const generatedText = response.result.results?.[0]?.generated_text || "";
         return {
           content: [
             {
@@ -456,16 +776,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case "watsonx_embeddings": {
         const params = {
           inputs: args.texts,
-          modelId: args.model_id || "ibm/slate-125m-english-rtrvr-v2",
+          modelId: args.model_id || EMBEDDING_MODEL,
+          ...getScope(),
         };
 
-        // Add spaceId (preferred) or projectId
-        if (WATSONX_SPACE_ID) {
-          params.spaceId = WATSONX_SPACE_ID;
-        } else if (WATSONX_PROJECT_ID) {
-          params.projectId = WATSONX_PROJECT_ID;
-        }
-
         const response = await client.embedText(params);
 
         return {
@@ -479,41 +793,360 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "watsonx_chat": {
-        // Format messages for chat completion
-        const formattedPrompt = args.messages
-          .map((m) => {
-            if (m.role === "system") return `System: ${m.content}`;
-            if (m.role === "user") return `User: ${m.content}`;
-            if (m.role === "assistant") return `Assistant: ${m.content}`;
-            return m.content;
-          })
-          .join("\n\n");
+        const session = args.session_id ? await sessionStore.get(args.session_id) : null;
+        const newMessages = args.messages || [];
+        if (!session && newMessages.length === 0) {
+          throw new Error("Provide messages, session_id, or both");
+        }
 
-        const params = {
-          input: formattedPrompt + "\n\nAssistant:",
-          modelId: args.model_id || "ibm/granite-3-3-8b-instruct",
-          parameters: {
-            max_new_tokens: args.max_new_tokens || 500,
-            temperature: args.temperature || 0.7,
-            stop_sequences: ["User:", "System:"],
-          },
-        };
+        const modelId = args.model_id || session?.model_id || GENERATION_MODEL;
+        const maxTokens = args.max_new_tokens || 500;
+        const runChat = (messages) => chatCompletion(client, {
+          messages,
+          modelId,
+          maxTokens,
+          temperature: args.temperature ?? 0.7,
+          tools: args.tools,
+          toolChoice: args.tool_choice,
+          scope: getScope(),
+          onDelta: args.stream ? progressRelay(request, extra) : undefined,
+          signal: extra.signal,
+        });
 
-        // Add spaceId (preferred) or projectId
-        if (WATSONX_SPACE_ID) {
-          params.spaceId = WATSONX_SPACE_ID;
-        } else if (WATSONX_PROJECT_ID) {
-          params.projectId = WATSONX_PROJECT_ID;
+        let result;
+        if (session) {
+          // New messages are only kept in the session if the model call succeeds
+          const previousLength = session.messages.length;
+          await sessionStore.append(session.id, newMessages);
+          try {
+            result = await runChat(await fitSessionToContext(client, sessionStore, session, {
+              modelId,
+              maxTokens,
+              scope: getScope(),
+            }));
+          } catch (error) {
+            await sessionStore.truncate(session.id, previousLength);
+            throw error;
+          }
+        } else {
+          result = await runChat(newMessages);
         }
 
-        const response = await client.generateText(params);
+        if (session) {
+          const reply = { role: "assistant", content: result.text };
+          if (result.tool_calls.length > 0) reply.tool_calls = result.tool_calls;
+          await sessionStore.append(session.id, [reply]);
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: result.text,
+            },
+            {
+              type: "text",
+              text: JSON.stringify({
+                tool_calls: result.tool_calls,
+                finish_reason: result.finish_reason,
+                usage: result.usage,
+                model_id: result.model_id,
+                mode: result.mode,
+                session_id: session?.id,
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "watsonx_session_create": {
+        const session = await sessionStore.create({
+          modelId: args.model_id || GENERATION_MODEL,
+          systemPrompt: args.system_prompt,
+          messages: args.messages,
+          overflow: args.overflow || "truncate",
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ session_id: session.id, model_id: session.model_id, overflow: session.overflow }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "watsonx_session_append": {
+        const session = await sessionStore.append(args.session_id, args.messages);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ session_id: session.id, message_count: session.messages.length }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "watsonx_session_list": {
+        const sessions = await sessionStore.list();
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(sessions, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "watsonx_session_fork": {
+        const session = await sessionStore.fork(args.session_id, args.at_message);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({
+                session_id: session.id,
+                forked_from: session.forked_from,
+                message_count: session.messages.length,
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "watsonx_session_delete": {
+        await sessionStore.delete(args.session_id);
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Deleted session ${args.session_id}`,
+            },
+          ],
+        };
+      }
+
+      // Embedding index / RAG Tools
+      case "index_build": {
+        const result = await buildIndex({
+          maxDocs: args.max_docs || 100,
+          force: args.force || false,
+          ...(args.collection ? await resolveCollection(args.collection) : {}),
+          ...(args.documents_path ? { documentsPath: args.documents_path, sources: [args.documents_path] } : {}),
+          ...(args.include ? { include: args.include } : {}),
+          ...(args.exclude ? { exclude: args.exclude } : {}),
+          client,
+          scope: getScope(),
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "index_search": {
+        const hits = await queryIndex(args.query, {
+          topK: args.top_k || 5,
+          mode: args.mode,
+          rerank: args.rerank,
+          filter: args.filter,
+          ...(args.collections?.length ? { collections: args.collections } : {}),
+          probes: args.probes,
+          exact: args.exact,
+          client,
+          scope: getScope(),
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ query: args.query, hits }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "collection_list": {
+        const collections = await listCollections();
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ collections }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "rag_query": {
+        const result = await ragQuery(args.question, {
+          topK: args.top_k || 5,
+          mode: args.mode,
+          rerank: args.rerank,
+          filter: args.filter,
+          ...(args.collections?.length ? { collections: args.collections } : {}),
+          modelId: args.model_id || GENERATION_MODEL,
+          minSimilarity: args.min_similarity,
+          client,
+          scope: getScope(),
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "rag_chat": {
+        const result = await conversationalRagQuery(args.question, {
+          store: sessionStore,
+          sessionId: args.session_id,
+          topK: args.top_k || 5,
+          mode: args.mode,
+          rerank: args.rerank,
+          filter: args.filter,
+          ...(args.collections?.length ? { collections: args.collections } : {}),
+          modelId: args.model_id || GENERATION_MODEL,
+          minSimilarity: args.min_similarity,
+          client,
+          scope: getScope(),
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      // IBM Z / Key Protect Tools
+      case "key_protect_list_keys": {
+        const result = await getKeyProtectClient().listKeys({
+          limit: args.limit || 100,
+          offset: args.offset || 0,
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "key_protect_create_key": {
+        const result = await getKeyProtectClient().createKey({
+          name: args.name,
+          description: args.description,
+          type: args.type || "standard_key",
+          extractable: args.extractable,
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "key_protect_get_key": {
+        const result = await getKeyProtectClient().getKey(args.key_id);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "key_protect_wrap_key": {
+        const result = await getKeyProtectClient().wrapKey(args.key_id, args.plaintext, args.aad);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "key_protect_unwrap_key": {
+        const result = await getKeyProtectClient().unwrapKey(args.key_id, args.ciphertext, args.aad);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "key_protect_delete_key": {
+        const result = await getKeyProtectClient().deleteKey(args.key_id, args.force || false);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      // z/OS Connect Tools
+      case "zos_connect_list_services": {
+        const result = await getZosConnectClient().listServices();
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "zos_connect_get_service_info": {
+        const result = await getZosConnectClient().getServiceInfo(args.service_name);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
 
-        const generatedText = response.result.results?.[0]?.generated_text || "";
+      case "zos_connect_call_service": {
+        const result = await getZosConnectClient().callService(
+          args.service_name,
+          args.payload || {},
+          args.operation || "POST"
+        );
         return {
           content: [
             {
               type: "text",
-              text: generatedText.trim(),
+              text: JSON.stringify(result, null, 2),
             },
           ],
         };
@@ -534,7 +1167,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       content: [
         {
           type: "text",
-          text: `Error calling watsonx.ai: ${error.message}`,
+          text: `Error calling ${serviceLabel(name)}: ${error.message}`,
         },
       ],
     };
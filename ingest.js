@@ -0,0 +1,314 @@
+/**
+ * Document ingestion
+ * Finds documents under one or more directories (recursively, with include/exclude globs)
+ * and extracts plain text from them. Shared by the embedding index, batch processor and
+ * document analyzer so every tool sees the same files and the same text.
+ *
+ * Formats: plain text, Markdown, HTML, JSON, PDF, DOCX and source code.
+ * HTML and DOCX headings become Markdown headings so the chunker can follow them.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+const FORMATS = {
+  ".txt": "text",
+  ".text": "text",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".html": "html",
+  ".htm": "html",
+  ".xhtml": "html",
+  ".json": "json",
+  ".pdf": "pdf",
+  ".docx": "docx",
+};
+
+const CODE_LANGUAGES = {
+  ".js": "javascript", ".mjs": "javascript", ".cjs": "javascript", ".jsx": "javascript",
+  ".ts": "typescript", ".tsx": "typescript",
+  ".py": "python", ".rb": "ruby", ".go": "go", ".rs": "rust",
+  ".java": "java", ".kt": "kotlin", ".scala": "scala", ".swift": "swift",
+  ".c": "c", ".h": "c", ".cc": "cpp", ".cpp": "cpp", ".hpp": "cpp", ".cs": "csharp",
+  ".php": "php", ".sh": "shell", ".bash": "shell", ".sql": "sql",
+  ".yaml": "yaml", ".yml": "yaml", ".toml": "toml",
+  ".cbl": "cobol", ".cob": "cobol", ".jcl": "jcl",
+};
+
+// Comment syntax per language, used to recognise license banners
+const LINE_COMMENTS = {
+  python: "#", ruby: "#", shell: "#", yaml: "#", toml: "#",
+  sql: "--", cobol: "*", jcl: "//*",
+};
+
+export const SUPPORTED_EXTENSIONS = [...Object.keys(FORMATS), ...Object.keys(CODE_LANGUAGES)];
+
+// Hidden files and dependency folders are always skipped
+const ALWAYS_EXCLUDE = [".*", "node_modules"];
+
+// Lines this long in source files are minified or embedded data, not useful text
+const MAX_CODE_LINE = 500;
+
+/**
+ * Format of a file from its extension: { format, language } (language only for code),
+ * or null if the file type is not supported
+ */
+export function detectFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (FORMATS[ext]) return { format: FORMATS[ext] };
+  if (CODE_LANGUAGES[ext]) return { format: "code", language: CODE_LANGUAGES[ext] };
+  return null;
+}
+
+function globSource(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (c === "*") {
+      source += "[^/]*";
+    } else if (c === "?") {
+      source += "[^/]";
+    } else if (c === "{" && glob.indexOf("}", i) > i) {
+      const end = glob.indexOf("}", i);
+      source += `(?:${glob.slice(i + 1, end).split(",").map(globSource).join("|")})`;
+      i = end;
+    } else if (c === "[" && glob.indexOf("]", i) > i + 1) {
+      const end = glob.indexOf("]", i);
+      const set = glob.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\");
+      source += `[${set}]`;
+      i = end;
+    } else {
+      source += c.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+  return source;
+}
+
+/**
+ * Compile a glob (*, **, ?, {a,b}, [abc]) into a RegExp over "/"-separated relative paths.
+ * Patterns without a "/" match the file or directory name at any depth, as in .gitignore.
+ */
+export function globToRegExp(glob) {
+  const anchored = glob.replace(/^\.?\//, "");
+  const prefix = glob.includes("/") ? "" : "(?:.*/)?";
+  return new RegExp(`^${prefix}${globSource(anchored.replace(/\/$/, ""))}$`);
+}
+
+function compileGlobs(globs) {
+  const patterns = (typeof globs === "string" ? globs.split(",") : globs || [])
+    .map(g => g.trim())
+    .filter(Boolean)
+    .map(globToRegExp);
+  return relative => patterns.some(p => p.test(relative));
+}
+
+/**
+ * Find supported documents under one or more directories, recursing into subdirectories.
+ * `include` / `exclude` are globs (array or comma-separated string) matched against the
+ * path relative to its root; by default every supported format is included. Hidden files
+ * and node_modules are always skipped. Files come back in a stable (sorted) order.
+ * Returns [{ name, path, root, relative, format, language }].
+ */
+export async function findDocuments(roots, { include, exclude, maxDocs = Infinity } = {}) {
+  const included = include?.length ? compileGlobs(include) : null;
+  const excluded = compileGlobs([...ALWAYS_EXCLUDE, ...(typeof exclude === "string" ? exclude.split(",") : exclude || [])]);
+  const found = [];
+
+  async function walk(root, dir) {
+    const entries = (await fs.readdir(dir, { withFileTypes: true }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (found.length >= maxDocs) return;
+      const filePath = path.join(dir, entry.name);
+      const relative = path.relative(root, filePath).split(path.sep).join("/");
+      if (entry.isDirectory()) {
+        if (!excluded(relative) && !excluded(`${relative}/`)) await walk(root, filePath);
+        continue;
+      }
+      if (!entry.isFile() || excluded(relative)) continue;
+      const detected = detectFormat(entry.name);
+      if (!detected || (included && !included(relative))) continue;
+      found.push({ name: entry.name, path: filePath, root, relative, ...detected });
+    }
+  }
+
+  for (const root of [].concat(roots)) {
+    if (found.length >= maxDocs) break;
+    await walk(path.resolve(root), path.resolve(root));
+  }
+  return found;
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", ndash: "–", mdash: "—", hellip: "…", copy: "©", reg: "®", trade: "™" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Collapse runs of spaces, trim lines and keep at most one blank line between paragraphs
+ */
+function tidyWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map(line => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * HTML to text. Scripts, styles and comments are dropped, h1-h6 become Markdown headings,
+ * list items become "- " lines and block elements become paragraph breaks.
+ */
+export function htmlToText(html) {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1].trim();
+  let body = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) =>
+      `\n\n${"#".repeat(Number(level))} ${inner.replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|ul|ol|table|tr|blockquote|pre|figure|dl|dt|dd|hr)\b[^>]*>/gi, "\n\n")
+    .replace(/<\/t[dh]>/gi, "\t")
+    .replace(/<[^>]+>/g, "");
+  body = tidyWhitespace(decodeEntities(body));
+  if (title && !/^# /m.test(body)) body = `# ${decodeEntities(title)}\n\n${body}`;
+  return body;
+}
+
+/**
+ * Markdown cleanup: front matter, HTML comments and tags, link targets and
+ * reference definitions are removed; headings and text are kept.
+ */
+function cleanMarkdown(text) {
+  return tidyWhitespace(text
+    .replace(/^---\n[\s\S]*?\n---\n/, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^\s*\[[^\]]+\]:\s+\S+.*$/gm, "")
+    .replace(/<\/?[a-z][^>]*>/gi, ""));
+}
+
+/**
+ * JSON as one "path: value" line per leaf, so keys stay searchable next to their values
+ */
+function jsonToText(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return text;
+  }
+  const lines = [];
+  (function visit(value, key) {
+    if (value && typeof value === "object") {
+      const entries = Array.isArray(value) ? value.map((v, i) => [`${key}[${i}]`, v]) : Object.entries(value).map(([k, v]) => [key ? `${key}.${k}` : k, v]);
+      if (entries.length === 0) lines.push(`${key}: ${Array.isArray(value) ? "[]" : "{}"}`);
+      entries.forEach(([k, v]) => visit(v, k));
+    } else {
+      lines.push(key ? `${key}: ${value}` : String(value));
+    }
+  })(data, "");
+  return lines.join("\n");
+}
+
+/**
+ * Source code cleanup: drops a leading license/copyright banner, minified or
+ * generated lines, trailing whitespace and runs of blank lines. Comments and
+ * docstrings are kept since they carry most of the prose.
+ */
+function cleanCode(text, language) {
+  let lines = text.replace(/\r\n?/g, "\n").split("\n").map(line => line.replace(/\s+$/, ""));
+
+  // Leading banner: a block comment or a run of line comments mentioning a license
+  const shebang = lines[0]?.startsWith("#!") ? [lines.shift()] : [];
+  let end = 0;
+  if (/^\s*\/\*/.test(lines[0] || "")) {
+    end = lines.findIndex(line => line.includes("*/")) + 1;
+  } else {
+    const marker = LINE_COMMENTS[language] || "//";
+    while (end < lines.length && lines[end].trimStart().startsWith(marker)) end++;
+  }
+  if (end > 0 && /copyright|license|spdx-license/i.test(lines.slice(0, end).join("\n"))) {
+    lines = lines.slice(end);
+  }
+
+  lines = [...shebang, ...lines].filter(line => line.length <= MAX_CODE_LINE);
+  return lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+async function pdfToText(filePath) {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const data = new Uint8Array(await fs.readFile(filePath));
+  const pdf = await getDocument({ data, isEvalSupported: false, verbosity: 0 }).promise;
+  try {
+    const pages = [];
+    for (let p = 1; p <= pdf.numPages; p++) {
+      const page = await pdf.getPage(p);
+      const content = await page.getTextContent();
+      pages.push(content.items.map(item => `${item.str ?? ""}${item.hasEOL ? "\n" : ""}`).join(""));
+      page.cleanup();
+    }
+    return tidyWhitespace(pages.join("\n\n"));
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+async function docxToText(filePath) {
+  const { default: mammoth } = await import("mammoth");
+  const { value } = await mammoth.convertToHtml({ path: filePath });
+  return htmlToText(value);
+}
+
+/**
+ * Read a document and extract its text.
+ * Returns { text, format, language } (language only for source code).
+ */
+export async function readDocument(filePath) {
+  const detected = detectFormat(filePath);
+  if (!detected) {
+    throw new Error(`Unsupported document type: ${path.extname(filePath) || path.basename(filePath)}. Supported: ${SUPPORTED_EXTENSIONS.join(" ")}`);
+  }
+  const { format, language } = detected;
+
+  let text;
+  if (format === "pdf") text = await pdfToText(filePath);
+  else if (format === "docx") text = await docxToText(filePath);
+  else {
+    const raw = (await fs.readFile(filePath, "utf-8")).replace(/^\uFEFF/, "");
+    switch (format) {
+      case "markdown": text = cleanMarkdown(raw); break;
+      case "html": text = htmlToText(raw); break;
+      case "json": text = jsonToText(raw); break;
+      case "code": text = cleanCode(raw, language); break;
+      default: text = raw;
+    }
+  }
+  return { text, format, ...(language ? { language } : {}) };
+}
+
+/**
+ * Extracted text of a document
+ */
+export async function extractText(filePath) {
+  return (await readDocument(filePath)).text;
+}
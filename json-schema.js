@@ -0,0 +1,138 @@
+/**
+ * Minimal JSON Schema validator
+ * Covers the subset used by z/OS Connect service schemas and OpenAPI documents
+ */
+
+/**
+ * Resolve a local JSON pointer ($ref) against the root document
+ */
+export function resolveRef(root, ref) {
+  if (!ref.startsWith("#")) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref
+    .slice(1)
+    .split("/")
+    .filter(Boolean)
+    .map((part) => decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, part) => {
+      if (node === undefined || node === null || !(part in node)) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+      }
+      return node[part];
+    }, root);
+}
+
+/**
+ * JSON Schema type name for a value
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of error messages; an empty list means the value is valid.
+ */
+export function validateSchema(schema, value, { root = schema, path = "$" } = {}) {
+  if (schema === true || schema === undefined || schema === null) return [];
+  if (schema === false) return [`${path}: not allowed`];
+  if (schema.$ref) {
+    return validateSchema(resolveRef(root, schema.$ref), value, { root, path });
+  }
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      return [`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(", ")}`);
+  }
+  if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: does not match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: less than minimum ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: greater than maximum ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: more than ${schema.maxItems} items`);
+    }
+    if (schema.items && !Array.isArray(schema.items)) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(schema.items, item, { root, path: `${path}[${i}]` }));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, propValue] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(...validateSchema(properties[key], propValue, { root, path: `${path}.${key}` }));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: unexpected property`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(schema.additionalProperties, propValue, { root, path: `${path}.${key}` }));
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    errors.push(...validateSchema(sub, value, { root, path }));
+  }
+  if (schema.anyOf && !schema.anyOf.some((sub) => validateSchema(sub, value, { root, path }).length === 0)) {
+    errors.push(`${path}: does not match any allowed schema`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((sub) => validateSchema(sub, value, { root, path }).length === 0).length;
+    if (matches !== 1) errors.push(`${path}: must match exactly one allowed schema (matched ${matches})`);
+  }
+
+  return errors;
+}
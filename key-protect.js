@@ -0,0 +1,262 @@
+/**
+ * Key Protect backends
+ * IBM Key Protect REST client plus a local file-backed stand-in for offline use
+ */
+
+import { IamAuthenticator } from "ibm-cloud-sdk-core";
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+const KEY_MEDIA_TYPE = "application/vnd.ibm.kms.key+json";
+const COLLECTION_MEDIA_TYPE = "application/vnd.ibm.collection+json";
+
+/**
+ * Wrap a list of resources in a Key Protect collection envelope.
+ * `total` is the size of the whole collection when `resources` is one page of it.
+ */
+function toCollection(resources, collectionType = KEY_MEDIA_TYPE, total = resources.length) {
+  return {
+    metadata: { collectionType, collectionTotal: total },
+    resources,
+  };
+}
+
+// Key Protect accepts data encryption keys of up to 7,500 bytes
+const MAX_PLAINTEXT_BYTES = 7500;
+
+/**
+ * Client for the IBM Key Protect v2 REST API
+ */
+export class KeyProtectRestClient {
+  constructor({ apiKey, instanceId, serviceUrl }) {
+    if (!apiKey || !instanceId) {
+      throw new Error("Key Protect not configured. Set KEY_PROTECT_API_KEY and KEY_PROTECT_INSTANCE_ID (or keyProtect.apiKey and keyProtect.instanceId in the config file).");
+    }
+    this.instanceId = instanceId;
+    this.serviceUrl = serviceUrl.replace(/\/+$/, "");
+    this.authenticator = new IamAuthenticator({ apikey: apiKey });
+  }
+
+  async request(endpoint, method = "GET", body = null, extraHeaders = {}) {
+    const headers = {
+      "Accept": "application/json",
+      "Bluemix-Instance": this.instanceId,
+      ...extraHeaders,
+    };
+    await this.authenticator.authenticate({ headers });
+
+    const options = { method, headers };
+    if (body) {
+      headers["Content-Type"] = KEY_MEDIA_TYPE;
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${this.serviceUrl}/api/v2${endpoint}`, options);
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : {};
+    if (!response.ok) {
+      const reason = data.resources?.[0]?.errorMsg || response.statusText;
+      throw new Error(`Key Protect error: ${response.status} ${reason}`);
+    }
+    return data;
+  }
+
+  async listKeys({ limit = 100, offset = 0 } = {}) {
+    return this.request(`/keys?limit=${limit}&offset=${offset}`, "GET", null, {
+      "Accept": COLLECTION_MEDIA_TYPE,
+    });
+  }
+
+  async createKey({ name, description, type = "standard_key", extractable }) {
+    const resource = {
+      type: KEY_MEDIA_TYPE,
+      name,
+      extractable: type === "root_key" ? false : extractable ?? true,
+    };
+    if (description) resource.description = description;
+
+    return this.request("/keys", "POST", toCollection([resource]), {
+      "Prefer": "return=representation",
+    });
+  }
+
+  async getKey(keyId) {
+    return this.request(`/keys/${encodeURIComponent(keyId)}`);
+  }
+
+  async wrapKey(keyId, plaintext, aad) {
+    const body = { plaintext };
+    if (aad?.length) body.aad = aad;
+    return this.request(`/keys/${encodeURIComponent(keyId)}?action=wrap`, "POST", body);
+  }
+
+  async unwrapKey(keyId, ciphertext, aad) {
+    const body = { ciphertext };
+    if (aad?.length) body.aad = aad;
+    return this.request(`/keys/${encodeURIComponent(keyId)}?action=unwrap`, "POST", body);
+  }
+
+  async deleteKey(keyId, force = false) {
+    const query = force ? "?force=true" : "";
+    return this.request(`/keys/${encodeURIComponent(keyId)}${query}`, "DELETE", null, {
+      "Prefer": "return=representation",
+    });
+  }
+}
+
+/**
+ * Local stand-in for Key Protect, backed by a JSON file.
+ * Key material is stored unprotected on disk - use for development and CI only.
+ */
+export class LocalKmsClient {
+  constructor({ storePath }) {
+    this.storePath = storePath;
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.storePath, "utf-8");
+      return JSON.parse(data);
+    } catch (err) {
+      if (err.code === "ENOENT") return { keys: [] };
+      throw err;
+    }
+  }
+
+  async save(store) {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    await fs.writeFile(this.storePath, JSON.stringify(store, null, 2), { mode: 0o600 });
+  }
+
+  findKey(store, keyId) {
+    const key = store.keys.find((k) => k.id === keyId);
+    if (!key) {
+      throw new Error(`Key Protect error: 404 Key ${keyId} not found`);
+    }
+    return key;
+  }
+
+  /**
+   * Key metadata as returned by Key Protect (material only for extractable keys)
+   */
+  describe(key, includePayload = false) {
+    const { material, ...metadata } = key;
+    return includePayload && key.extractable ? { ...metadata, payload: material } : metadata;
+  }
+
+  async listKeys({ limit = 100, offset = 0 } = {}) {
+    const store = await this.load();
+    const keys = store.keys.slice(offset, offset + limit).map((k) => this.describe(k));
+    return toCollection(keys, KEY_MEDIA_TYPE, store.keys.length);
+  }
+
+  async createKey({ name, description, type = "standard_key", extractable }) {
+    const store = await this.load();
+    const now = new Date().toISOString();
+    const key = {
+      id: crypto.randomUUID(),
+      type: KEY_MEDIA_TYPE,
+      name,
+      description: description || "",
+      extractable: type === "root_key" ? false : extractable ?? true,
+      state: 1,
+      creationDate: now,
+      lastUpdateDate: now,
+      material: crypto.randomBytes(32).toString("base64"),
+    };
+    store.keys.push(key);
+    await this.save(store);
+    return toCollection([this.describe(key, true)]);
+  }
+
+  async getKey(keyId) {
+    const store = await this.load();
+    const key = this.findKey(store, keyId);
+    return toCollection([this.describe(key, true)]);
+  }
+
+  /**
+   * AES-256-GCM envelope: base64(iv | auth tag | ciphertext), AAD bound to the tag.
+   * Without plaintext a new 256-bit data encryption key is generated and returned with
+   * its ciphertext, as Key Protect does.
+   */
+  async wrapKey(keyId, plaintext, aad = []) {
+    const generated = plaintext === undefined || plaintext === null;
+    if (!generated && (typeof plaintext !== "string" || !/^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/.test(plaintext))) {
+      throw new Error("Key Protect error: 400 Plaintext must be base64-encoded");
+    }
+    const data = generated ? crypto.randomBytes(32) : Buffer.from(plaintext, "base64");
+    if (!generated && (data.length === 0 || data.length > MAX_PLAINTEXT_BYTES)) {
+      throw new Error(`Key Protect error: 400 Plaintext must be 1 to ${MAX_PLAINTEXT_BYTES} bytes`);
+    }
+
+    const store = await this.load();
+    const key = this.findKey(store, keyId);
+    if (key.extractable) {
+      throw new Error(`Key Protect error: 400 Key ${keyId} is not a root key`);
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", Buffer.from(key.material, "base64"), iv);
+    cipher.setAAD(Buffer.from(JSON.stringify(aad || [])));
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+    const ciphertext = Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64");
+
+    const keyVersion = { id: key.id, creationDate: key.creationDate };
+    return generated ? { plaintext: data.toString("base64"), ciphertext, keyVersion } : { ciphertext, keyVersion };
+  }
+
+  async unwrapKey(keyId, ciphertext, aad = []) {
+    const store = await this.load();
+    const key = this.findKey(store, keyId);
+    if (key.extractable) {
+      throw new Error(`Key Protect error: 400 Key ${keyId} is not a root key`);
+    }
+
+    const raw = Buffer.from(ciphertext, "base64");
+    if (raw.length < 28) {
+      throw new Error("Key Protect error: 400 Ciphertext is malformed");
+    }
+    const decipher = crypto.createDecipheriv("aes-256-gcm", Buffer.from(key.material, "base64"), raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    decipher.setAAD(Buffer.from(JSON.stringify(aad || [])));
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+    } catch {
+      throw new Error("Key Protect error: 422 Unable to unwrap - ciphertext or AAD does not match");
+    }
+    return { plaintext: plaintext.toString("base64"), keyVersion: { id: key.id, creationDate: key.creationDate } };
+  }
+
+  /**
+   * Local keys are never registered with other resources, so `force` (which lets Key
+   * Protect delete a key that still protects resources) changes nothing here
+   */
+  async deleteKey(keyId, force = false) {
+    const store = await this.load();
+    const key = this.findKey(store, keyId);
+    store.keys = store.keys.filter((k) => k.id !== keyId);
+    await this.save(store);
+    return toCollection([{ ...this.describe(key), state: 5, deleted: true, deletionDate: new Date().toISOString() }]);
+  }
+}
+
+/**
+ * Create the Key Protect backend selected by configuration
+ */
+export function createKeyProtectClient({ backend = "ibm", apiKey, instanceId, serviceUrl, localStorePath } = {}) {
+  switch (backend) {
+    case "ibm":
+      return new KeyProtectRestClient({ apiKey, instanceId, serviceUrl });
+    case "local":
+      return new LocalKmsClient({
+        storePath: localStorePath || path.join(os.homedir(), ".watsonx-mcp", "local-kms.json"),
+      });
+    default:
+      throw new Error(`Unknown Key Protect backend: ${backend}. Use "ibm" or "local".`);
+  }
+}
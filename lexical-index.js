@@ -0,0 +1,169 @@
+/**
+ * Lexical (BM25) index
+ * Keeps per-chunk term counts next to the embedding index so exact identifiers
+ * (ticket numbers, product names) can be matched by keyword.
+ *
+ * Sidecar layout (uint32, little-endian):
+ *   chunk count, vocabulary byte length, vocabulary JSON (padded to 4 bytes),
+ *   chunk count + 1 offsets into the pair data, then (term id, count) pairs
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+const TERM = /[\p{L}\p{N}]+(?:[-_.:/][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Split text into lowercase terms. Compound identifiers (INC-1234, v2.3)
+ * are kept whole and also contribute their parts.
+ */
+export function tokenizeTerms(text) {
+  const terms = [];
+  for (const [match] of text.toLowerCase().matchAll(TERM)) {
+    terms.push(match);
+    const parts = match.split(/[-_.:/]/);
+    if (parts.length > 1) terms.push(...parts);
+  }
+  return terms;
+}
+
+/**
+ * Empty lexical index; `chunks` holds one term-count array per chunk (null if not yet tokenized)
+ */
+export function createLexicalIndex(terms = []) {
+  return { terms, ids: new Map(terms.map((t, i) => [t, i])), chunks: [] };
+}
+
+/**
+ * Term counts for a chunk as a flat [termId, count, termId, count, ...] array
+ */
+export function countTerms(lexical, text) {
+  const counts = new Map();
+  for (const term of tokenizeTerms(text)) {
+    let id = lexical.ids.get(term);
+    if (id === undefined) {
+      id = lexical.terms.length;
+      lexical.terms.push(term);
+      lexical.ids.set(term, id);
+    }
+    counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return Uint32Array.from([...counts].flat());
+}
+
+/**
+ * Inverted index, built on first search and reused for the lifetime of the lexical index
+ */
+const postingsCache = new WeakMap();
+
+function getPostings(lexical) {
+  let postings = postingsCache.get(lexical);
+  if (postings) return postings;
+
+  const lists = new Map();
+  const lengths = new Float64Array(lexical.chunks.length);
+  let total = 0, documents = 0;
+  lexical.chunks.forEach((pairs, chunk) => {
+    if (!pairs) return;
+    documents++;
+    for (let p = 0; p < pairs.length; p += 2) {
+      const [id, count] = [pairs[p], pairs[p + 1]];
+      lengths[chunk] += count;
+      if (!lists.has(id)) lists.set(id, []);
+      lists.get(id).push(chunk, count);
+    }
+    total += lengths[chunk];
+  });
+  postings = { lists, lengths, documents, averageLength: documents ? total / documents : 0 };
+  postingsCache.set(lexical, postings);
+  return postings;
+}
+
+/**
+ * Rank chunks against a query with BM25. Returns [{ i, bm25 }], best first.
+ * Chunks rejected by `allowed(chunkIndex)` are skipped.
+ */
+export function bm25Search(lexical, query, { topK, allowed, k1 = 1.2, b = 0.75 }) {
+  const { lists, lengths, documents, averageLength } = getPostings(lexical);
+  const scores = new Map();
+  for (const term of new Set(tokenizeTerms(query))) {
+    const list = lists.get(lexical.ids.get(term));
+    if (!list) continue;
+    const df = list.length / 2;
+    const idf = Math.log(1 + (documents - df + 0.5) / (df + 0.5));
+    for (let p = 0; p < list.length; p += 2) {
+      const [chunk, tf] = [list[p], list[p + 1]];
+      if (allowed && !allowed(chunk)) continue;
+      const norm = tf + k1 * (1 - b + b * lengths[chunk] / averageLength);
+      scores.set(chunk, (scores.get(chunk) || 0) + idf * tf * (k1 + 1) / norm);
+    }
+  }
+  return [...scores]
+    .map(([i, bm25]) => ({ i, bm25 }))
+    .sort((a, b) => b.bm25 - a.bm25)
+    .slice(0, topK);
+}
+
+/**
+ * Sidecar path for an index manifest (embeddings-index.json -> embeddings-index.lexical.bin)
+ */
+export function lexicalPath(indexPath) {
+  const ext = path.extname(indexPath);
+  return `${ext ? indexPath.slice(0, -ext.length) : indexPath}.lexical.bin`;
+}
+
+/**
+ * Write a lexical index to its sidecar, dropping terms no chunk uses any more.
+ * Returns the manifest entry describing it.
+ */
+export async function writeLexical(filePath, lexical) {
+  const remap = new Map();
+  const terms = [];
+  const chunks = lexical.chunks.map(pairs => {
+    const out = new Uint32Array(pairs?.length || 0);
+    for (let p = 0; p < out.length; p += 2) {
+      if (!remap.has(pairs[p])) {
+        remap.set(pairs[p], terms.length);
+        terms.push(lexical.terms[pairs[p]]);
+      }
+      out[p] = remap.get(pairs[p]);
+      out[p + 1] = pairs[p + 1];
+    }
+    return out;
+  });
+
+  const vocabulary = Buffer.from(JSON.stringify(terms));
+  const padded = Buffer.concat([vocabulary, Buffer.alloc((4 - vocabulary.length % 4) % 4, " ")]);
+  const offsets = new Uint32Array(chunks.length + 1);
+  chunks.forEach((c, i) => { offsets[i + 1] = offsets[i] + c.length; });
+  const data = new Uint32Array(offsets[chunks.length]);
+  chunks.forEach((c, i) => data.set(c, offsets[i]));
+
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, Buffer.concat([
+    Buffer.from(Uint32Array.of(chunks.length, padded.length).buffer),
+    padded,
+    Buffer.from(offsets.buffer),
+    Buffer.from(data.buffer),
+  ]));
+  await fs.rename(tmpPath, filePath);
+  return { file: path.basename(filePath), terms: terms.length, count: chunks.length };
+}
+
+/**
+ * Read a lexical index. Chunks that were never tokenized come back as null.
+ */
+export async function readLexical(filePath) {
+  const file = await fs.readFile(filePath);
+  const buffer = file.byteOffset % 4 === 0 ? file : Buffer.from(file);
+  const [count, vocabularyBytes] = new Uint32Array(buffer.buffer, buffer.byteOffset, 2);
+  const lexical = createLexicalIndex(JSON.parse(buffer.subarray(8, 8 + vocabularyBytes).toString()));
+
+  const offsetsStart = buffer.byteOffset + 8 + vocabularyBytes;
+  const offsets = new Uint32Array(buffer.buffer, offsetsStart, count + 1);
+  const data = new Uint32Array(buffer.buffer, offsetsStart + (count + 1) * 4, offsets[count]);
+  for (let i = 0; i < count; i++) {
+    lexical.chunks.push(offsets[i + 1] > offsets[i] ? data.subarray(offsets[i], offsets[i + 1]) : null);
+  }
+  return lexical;
+}
@@ -0,0 +1,228 @@
+/**
+ * User-defined batch pipelines
+ * A pipeline file (YAML or JSON) lists steps that each send one prompt per document and
+ * parse the reply into a named output field. Prompts are templates: {{document}} is the
+ * document text, {{filename}} / {{format}} / {{language}} describe it, and {{<output>}} (or
+ * {{<output>.<key>}}) is the value of an earlier step.
+ *
+ *   name: language-and-pii
+ *   model: ibm/granite-3-3-8b-instruct
+ *   steps:
+ *     - output: lang
+ *       parser: enum
+ *       values: [en, de, fr, es, other]
+ *       prompt: "Which language is this document in? Reply with the code only.\n\n{{document}}"
+ *     - output: pii
+ *       parser: json
+ *       schema: { type: object, properties: { types: { type: array, items: { type: string } } } }
+ *       prompt: "List the kinds of personal data in this {{lang}} document as JSON ..."
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { validateSchema } from "./json-schema.js";
+import { generateStructured } from "./structured-output.js";
+
+export const PARSERS = ["text", "list", "enum", "json"];
+
+// Template variables every document provides
+const DOCUMENT_FIELDS = ["document", "filename", "format", "language"];
+
+// Outputs are stored next to these fields in batch results, so steps cannot use their names
+const RESERVED_OUTPUTS = [...DOCUMENT_FIELDS, "path", "size", "processed_at", "error"];
+
+const DEFAULT_MAX_CHARS = 2000;
+
+const PIPELINE_SCHEMA = {
+  type: "object",
+  required: ["name", "steps"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", pattern: "^[A-Za-z0-9][A-Za-z0-9_-]*$" },
+    description: { type: "string" },
+    model: { type: "string", minLength: 1 },
+    parameters: { type: "object" },
+    maxChars: { type: "integer", minimum: 1 },
+    steps: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["output", "prompt"],
+        additionalProperties: false,
+        properties: {
+          output: { type: "string", pattern: "^[A-Za-z_][A-Za-z0-9_]*$" },
+          prompt: { type: "string", minLength: 1 },
+          model: { type: "string", minLength: 1 },
+          parameters: { type: "object" },
+          parser: { enum: PARSERS },
+          values: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+          default: { type: "string" },
+          maxItems: { type: "integer", minimum: 1 },
+          schema: { type: "object" },
+          maxAttempts: { type: "integer", minimum: 1 },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Names referenced by {{...}} in a template (the part before any ".")
+ */
+function templateNames(template) {
+  return [...template.matchAll(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)(?:\.[^}\s]+)?\s*\}\}/g)].map(m => m[1]);
+}
+
+/**
+ * Check a parsed pipeline definition. Throws an Error listing every problem.
+ */
+export function validatePipeline(pipeline, source = "pipeline") {
+  const problems = validateSchema(PIPELINE_SCHEMA, pipeline);
+  // Cross-step checks, for the steps whose output and prompt are well-formed
+  if (Array.isArray(pipeline?.steps)) {
+    const available = new Set(DOCUMENT_FIELDS);
+    pipeline.steps.forEach((step, i) => {
+      if (typeof step?.output !== "string" || typeof step.prompt !== "string") return;
+      const where = `$.steps[${i}] (${step.output})`;
+      if (RESERVED_OUTPUTS.includes(step.output)) {
+        problems.push(`${where}: output name "${step.output}" is reserved (${RESERVED_OUTPUTS.join(", ")})`);
+      } else if (available.has(step.output)) {
+        problems.push(`${where}: output "${step.output}" is already used by an earlier step`);
+      }
+      for (const name of templateNames(step.prompt)) {
+        if (!available.has(name)) problems.push(`${where}: prompt references "${name}", which is not a document field or an earlier output`);
+      }
+      const parser = step.parser || "text";
+      if (parser === "enum" && !step.values) problems.push(`${where}: the enum parser needs "values"`);
+      if (parser !== "enum" && (step.values || step.default !== undefined)) {
+        problems.push(`${where}: "values" and "default" only apply to the enum parser`);
+      }
+      if (step.default !== undefined && step.values && !step.values.includes(step.default)) {
+        problems.push(`${where}: default "${step.default}" is not one of the values`);
+      }
+      if (parser !== "list" && step.maxItems !== undefined) problems.push(`${where}: "maxItems" only applies to the list parser`);
+      if (parser !== "json" && (step.schema || step.maxAttempts)) {
+        problems.push(`${where}: "schema" and "maxAttempts" only apply to the json parser`);
+      }
+      available.add(step.output);
+    });
+  }
+  if (problems.length) throw new Error(`Invalid pipeline ${source}:\n  ${problems.join("\n  ")}`);
+  return pipeline;
+}
+
+/**
+ * Read and validate a pipeline file (.yaml, .yml or .json)
+ */
+export async function loadPipeline(filePath) {
+  const resolved = path.resolve(filePath);
+  let source;
+  try {
+    source = await fs.readFile(resolved, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error(`Pipeline file not found: ${resolved}`);
+    throw err;
+  }
+
+  let pipeline;
+  try {
+    if (/\.ya?ml$/i.test(resolved)) {
+      const { parse } = await import("yaml");
+      pipeline = parse(source);
+    } else {
+      pipeline = JSON.parse(source);
+    }
+  } catch (err) {
+    throw new Error(`Invalid pipeline file ${resolved}: ${err.message}`);
+  }
+  return validatePipeline(pipeline, resolved);
+}
+
+/**
+ * Fill {{name}} and {{name.key}} placeholders. Lists are joined with ", " and objects are
+ * inserted as JSON.
+ */
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)((?:\.[^}\s]+)?)\s*\}\}/g, (_, name, keys) => {
+    let value = values[name];
+    for (const key of keys.split(".").filter(Boolean)) value = value?.[key];
+    if (value === undefined || value === null) return "";
+    if (Array.isArray(value)) return value.map(v => (typeof v === "object" ? JSON.stringify(v) : v)).join(", ");
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Parse a reply as one of step.values (case-insensitive): an exact match of the first line,
+ * else the first value that appears as a word. Falls back to step.default.
+ */
+function parseEnum(raw, step) {
+  const firstLine = raw.split("\n")[0].trim().replace(/^["'`]|["'`.]$/g, "").toLowerCase();
+  const exact = step.values.find(v => v.toLowerCase() === firstLine);
+  if (exact) return exact;
+  const escape = v => v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const mentioned = step.values.find(v => new RegExp(`(^|\\W)${escape(v.toLowerCase())}(\\W|$)`).test(firstLine));
+  if (mentioned) return mentioned;
+  if (step.default !== undefined) return step.default;
+  throw new Error(`${step.output}: "${firstLine.slice(0, 80)}" is not one of ${step.values.join(", ")}`);
+}
+
+/**
+ * Parse a reply as a list: one item per line (or comma-separated on one line), with bullets
+ * and numbering removed. "none" or "n/a" is an empty list.
+ */
+function parseList(raw, step) {
+  const items = raw
+    .split(raw.includes("\n") ? "\n" : ",")
+    .map(item => item.replace(/^\s*(?:[-*\u2022]|\d+[.)])\s*/, "").trim())
+    .filter(item => item && !/^(none|n\/a)\.?$/i.test(item));
+  return step.maxItems ? items.slice(0, step.maxItems) : items;
+}
+
+/**
+ * Run every step of a pipeline over one document ({ text, filename, format, language }).
+ * Returns the step outputs keyed by output name.
+ */
+export async function runPipeline(pipeline, doc, { client, scope = {}, modelId }) {
+  const values = {
+    document: doc.text.substring(0, pipeline.maxChars || DEFAULT_MAX_CHARS),
+    filename: doc.filename,
+    format: doc.format,
+    language: doc.language,
+  };
+  const outputs = {};
+
+  for (const step of pipeline.steps) {
+    const stepModel = step.model || pipeline.model || modelId;
+    const parameters = { ...pipeline.parameters, ...step.parameters };
+    const input = renderTemplate(step.prompt, values);
+    let output;
+
+    if (step.parser === "json") {
+      ({ value: output } = await generateStructured(client, {
+        modelId: stepModel,
+        scope,
+        prompt: input,
+        schema: step.schema || {},
+        parameters,
+        maxAttempts: step.maxAttempts,
+      }));
+    } else {
+      const response = await client.generateText({
+        modelId: stepModel,
+        ...scope,
+        input,
+        parameters: { max_new_tokens: 200, temperature: 0.2, ...parameters },
+      });
+      const raw = response.result.results?.[0]?.generated_text?.trim() || "";
+      if (step.parser === "enum") output = parseEnum(raw, step);
+      else if (step.parser === "list") output = parseList(raw, step);
+      else output = raw;
+    }
+
+    values[step.output] = output;
+    outputs[step.output] = output;
+  }
+  return outputs;
+}
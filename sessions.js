@@ -0,0 +1,234 @@
+/**
+ * Conversation sessions for watsonx_chat
+ * Server-side chat history with context-window fitting and optional JSON persistence
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { chatCompletion, getModelSpec } from "./chat.js";
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Rough token estimate (~4 characters per token plus per-message overhead)
+ */
+export function estimateTokens(messages) {
+  return messages.reduce((sum, m) => {
+    const text = (m.content || "") + (m.tool_calls ? JSON.stringify(m.tool_calls) : "");
+    return sum + Math.ceil(text.length / 4) + 4;
+  }, 0);
+}
+
+/**
+ * Context window (in tokens) reported by the model spec
+ */
+async function contextWindow(client, modelId) {
+  try {
+    const spec = await getModelSpec(client, modelId);
+    return spec?.model_limits?.max_sequence_length || DEFAULT_CONTEXT_WINDOW;
+  } catch {
+    return DEFAULT_CONTEXT_WINDOW;
+  }
+}
+
+/**
+ * In-memory session store, persisted to a JSON file when a path is given
+ */
+export class SessionStore {
+  constructor({ storePath } = {}) {
+    this.storePath = storePath;
+    this.sessions = null;
+  }
+
+  async load() {
+    if (this.sessions) return this.sessions;
+    this.sessions = new Map();
+    if (this.storePath) {
+      try {
+        const data = JSON.parse(await fs.readFile(this.storePath, "utf-8"));
+        for (const session of data.sessions || []) this.sessions.set(session.id, session);
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+    return this.sessions;
+  }
+
+  async save() {
+    if (!this.storePath) return;
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    const data = { sessions: [...this.sessions.values()] };
+    await fs.writeFile(this.storePath, JSON.stringify(data, null, 2));
+  }
+
+  async get(sessionId) {
+    const sessions = await this.load();
+    const session = sessions.get(sessionId);
+    if (!session) throw new Error(`Session not found: ${sessionId}`);
+    return session;
+  }
+
+  async create({ modelId, systemPrompt, messages = [], overflow = "truncate" }) {
+    if (!["truncate", "summarize"].includes(overflow)) {
+      throw new Error(`Unknown overflow strategy: ${overflow}. Use "truncate" or "summarize".`);
+    }
+    const sessions = await this.load();
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      model_id: modelId,
+      overflow,
+      messages: [...(systemPrompt ? [{ role: "system", content: systemPrompt }] : []), ...messages],
+      summary: null,
+      created: now,
+      updated: now,
+    };
+    sessions.set(session.id, session);
+    await this.save();
+    return session;
+  }
+
+  async append(sessionId, messages) {
+    const session = await this.get(sessionId);
+    session.messages.push(...messages);
+    session.updated = new Date().toISOString();
+    await this.save();
+    return session;
+  }
+
+  /**
+   * Roll a session back to its first `length` messages
+   */
+  async truncate(sessionId, length) {
+    const session = await this.get(sessionId);
+    session.messages.length = Math.min(length, session.messages.length);
+    if (session.summary && session.summary.through > length) session.summary = null;
+    await this.save();
+    return session;
+  }
+
+  async list() {
+    const sessions = await this.load();
+    return [...sessions.values()].map((s) => ({
+      id: s.id,
+      model_id: s.model_id,
+      overflow: s.overflow,
+      message_count: s.messages.length,
+      summarized_messages: s.summary?.through || 0,
+      created: s.created,
+      updated: s.updated,
+    }));
+  }
+
+  /**
+   * Copy a session, optionally keeping only the first `atMessage` messages
+   */
+  async fork(sessionId, atMessage) {
+    const source = await this.get(sessionId);
+    const keep = atMessage ?? source.messages.length;
+    const sessions = await this.load();
+    const now = new Date().toISOString();
+    const session = {
+      ...structuredClone(source),
+      id: crypto.randomUUID(),
+      forked_from: source.id,
+      messages: structuredClone(source.messages.slice(0, keep)),
+      summary: source.summary && source.summary.through <= keep ? structuredClone(source.summary) : null,
+      created: now,
+      updated: now,
+    };
+    sessions.set(session.id, session);
+    await this.save();
+    return session;
+  }
+
+  async delete(sessionId) {
+    const sessions = await this.load();
+    if (!sessions.delete(sessionId)) throw new Error(`Session not found: ${sessionId}`);
+    await this.save();
+  }
+}
+
+/**
+ * Drop leading tool results whose assistant tool call is no longer in the window
+ */
+function dropOrphanToolMessages(messages) {
+  let start = 0;
+  while (start < messages.length && messages[start].role === "tool") start++;
+  return messages.slice(start);
+}
+
+/**
+ * Build the prompt messages for a session so they fit the model's context window.
+ * With the "summarize" strategy, overflowing history is summarized once and the
+ * summary is stored on the session; otherwise the oldest turns are dropped.
+ */
+export async function fitSessionToContext(client, store, session, { modelId, maxTokens, scope }) {
+  const budget = (await contextWindow(client, modelId)) - maxTokens;
+  const system = session.messages.filter((m) => m.role === "system");
+  const summarizedThrough = session.summary?.through || 0;
+  const history = session.messages.slice(summarizedThrough).filter((m) => m.role !== "system");
+
+  const withSummary = (summary, turns) => [
+    ...system,
+    ...(summary ? [{ role: "system", content: `Summary of the earlier conversation:\n${summary}` }] : []),
+    ...turns,
+  ];
+
+  if (estimateTokens(withSummary(session.summary?.text, history)) <= budget) {
+    return withSummary(session.summary?.text, history);
+  }
+
+  // Keep as many recent turns as fit in roughly half the budget, leaving room for a summary
+  const target = session.overflow === "summarize" ? Math.floor(budget / 2) : budget;
+  let keepFrom = history.length;
+  while (keepFrom > 0 && estimateTokens(withSummary(session.summary?.text, history.slice(keepFrom - 1))) <= target) {
+    keepFrom--;
+  }
+  // The latest user message (and anything after it) is kept even when it alone is over the target
+  const lastUser = history.findLastIndex((m) => m.role === "user");
+  keepFrom = Math.max(0, Math.min(keepFrom, lastUser < 0 ? history.length - 1 : lastUser));
+  if (estimateTokens(withSummary(null, history.slice(keepFrom))) > budget) {
+    throw new Error(`The latest message exceeds the context window of ${modelId} (${budget} tokens after reserving ${maxTokens} for the reply). Shorten it or lower max_new_tokens.`);
+  }
+  const kept = dropOrphanToolMessages(history.slice(keepFrom));
+  const dropped = history.slice(0, history.length - kept.length);
+
+  if (session.overflow !== "summarize" || dropped.length === 0) {
+    return withSummary(session.summary?.text, kept);
+  }
+
+  const transcript = dropped
+    .map((m) => `${m.role}: ${m.content || JSON.stringify(m.tool_calls || [])}`)
+    .join("\n");
+  const summary = await chatCompletion(client, {
+    modelId,
+    maxTokens: 300,
+    temperature: 0.2,
+    scope,
+    messages: [
+      {
+        role: "system",
+        content: "Summarize the conversation so far in a short paragraph. Keep names, numbers, decisions and open questions.",
+      },
+      {
+        role: "user",
+        content: `${session.summary?.text ? `Previous summary:\n${session.summary.text}\n\n` : ""}Conversation:\n${transcript}`,
+      },
+    ],
+  });
+
+  // Map the dropped count back onto the full message list (system messages included)
+  let through = summarizedThrough;
+  let remaining = dropped.length;
+  while (remaining > 0 && through < session.messages.length) {
+    if (session.messages[through].role !== "system") remaining--;
+    through++;
+  }
+  session.summary = { text: summary.text, through };
+  session.updated = new Date().toISOString();
+  await store.save();
+
+  return withSummary(summary.text, kept);
+}
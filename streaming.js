@@ -0,0 +1,82 @@
+/**
+ * watsonx streaming helpers
+ * Consume server-sent event streams and assemble the final result
+ */
+
+/**
+ * Stream a text generation, calling onDelta(text) for each new piece.
+ * Returns { text, stop_reason, input_token_count, generated_token_count }.
+ */
+export async function streamGeneration(client, params, onDelta, signal) {
+  const stream = await client.generateTextStream({ ...params, returnObject: true, ...(signal ? { signal } : {}) });
+
+  let text = "";
+  let last = {};
+  for await (const chunk of stream) {
+    const result = chunk.data?.results?.[0];
+    if (!result) continue;
+    last = result;
+    if (result.generated_text) {
+      text += result.generated_text;
+      await onDelta(result.generated_text);
+    }
+  }
+
+  return {
+    text,
+    stop_reason: last.stop_reason,
+    input_token_count: last.input_token_count,
+    generated_token_count: last.generated_token_count,
+  };
+}
+
+/**
+ * Merge streamed tool call fragments (keyed by index) into complete tool calls
+ */
+function mergeToolCallDeltas(toolCalls, deltas) {
+  for (const delta of deltas) {
+    const index = delta.index ?? toolCalls.length;
+    const call = toolCalls[index] || (toolCalls[index] = { id: "", type: "function", function: { name: "", arguments: "" } });
+    if (delta.id) call.id = delta.id;
+    if (delta.type) call.type = delta.type;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  }
+}
+
+/**
+ * Stream a chat completion, calling onDelta(text) for each new piece of content.
+ * Returns { text, tool_calls, finish_reason, usage, model_id }.
+ */
+export async function streamChat(client, params, onDelta, signal) {
+  const stream = await client.textChatStream({ ...params, returnObject: true, ...(signal ? { signal } : {}) });
+
+  let text = "";
+  let finishReason;
+  let usage;
+  let modelId = params.modelId;
+  const toolCalls = [];
+  for await (const chunk of stream) {
+    const data = chunk.data;
+    if (!data) continue;
+    if (data.model_id) modelId = data.model_id;
+    if (data.usage) usage = data.usage;
+
+    const choice = data.choices?.[0];
+    if (!choice) continue;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+    if (choice.delta?.tool_calls) mergeToolCallDeltas(toolCalls, choice.delta.tool_calls);
+    if (choice.delta?.content) {
+      text += choice.delta.content;
+      await onDelta(choice.delta.content);
+    }
+  }
+
+  return {
+    text,
+    tool_calls: toolCalls.filter(Boolean),
+    finish_reason: finishReason,
+    usage,
+    model_id: modelId,
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Structured (JSON) output from text generation
+ * Asks a model for a JSON object, validates it against a JSON Schema (json-schema.js) and,
+ * when the reply does not parse or match, repairs it or asks the model to correct it.
+ */
+
+import { validateSchema } from "./json-schema.js";
+
+/**
+ * Parse the first JSON object or array in model output. Tolerates code fences, text around
+ * the JSON, smart quotes and trailing commas. Throws when nothing parses.
+ */
+export function parseJsonOutput(text) {
+  const unfenced = String(text).replace(/```(?:json)?/gi, "").trim();
+  const start = unfenced.search(/[{[]/);
+  if (start < 0) throw new Error("no JSON object in output");
+
+  // Cut where the first bracket closes, ignoring brackets inside strings
+  const stack = [];
+  let inString = false, end = -1;
+  for (let i = start; i < unfenced.length && end < 0; i++) {
+    const c = unfenced[i];
+    if (inString) {
+      if (c === "\\") i++;
+      else if (c === "\"") inString = false;
+    } else if (c === "\"") {
+      inString = true;
+    } else if (c === "{" || c === "[") {
+      stack.push(c === "{" ? "}" : "]");
+    } else if ((c === "}" || c === "]") && stack.pop() !== undefined && stack.length === 0) {
+      end = i;
+    }
+  }
+  // Output cut off by the token limit: close whatever is still open
+  const candidate = end < 0
+    ? unfenced.slice(start) + (inString ? "\"" : "") + stack.reverse().join("")
+    : unfenced.slice(start, end + 1);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (err) {
+    const repaired = candidate
+      .replace(/[\u201c\u201d]/g, "\"")
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/,\s*([}\]])/g, "$1");
+    try {
+      return JSON.parse(repaired);
+    } catch {
+      throw new Error(`invalid JSON in output: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Generate a value matching `schema` from `prompt`.
+ * `repair(value)` may fix up a parsed value before validation (e.g. coerce types, drop
+ * unknown keys). When output still does not parse or match, the model is shown its reply and
+ * the errors and asked again, up to maxAttempts calls in total.
+ * Returns { value, attempts, raw }.
+ */
+export async function generateStructured(client, {
+  modelId,
+  scope = {},
+  prompt,
+  schema,
+  repair = value => value,
+  parameters = {},
+  maxAttempts = 3,
+}) {
+  let input = prompt;
+  let problems = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await client.generateText({
+      modelId,
+      ...scope,
+      input,
+      parameters: { max_new_tokens: 400, temperature: 0, ...parameters },
+    });
+    const raw = response.result.results?.[0]?.generated_text?.trim() || "";
+
+    try {
+      const value = repair(parseJsonOutput(raw));
+      problems = validateSchema(schema, value);
+      if (problems.length === 0) return { value, attempts: attempt, raw };
+    } catch (err) {
+      problems = [err.message];
+    }
+
+    input = `${prompt}
+
+Your previous reply was:
+${raw.slice(0, 1500)}
+
+It was rejected because:
+${problems.map(p => `- ${p}`).join("\n")}
+
+Reply again with ONLY the corrected JSON object.
+
+JSON:`;
+  }
+  throw new Error(`Output did not match the schema after ${maxAttempts} attempts: ${problems.join("; ")}`);
+}
@@ -1,14 +1,10 @@
 #!/usr/bin/env node
-import { WatsonXAI } from '@ibm-cloud/watsonx-ai';
-import { IamAuthenticator } from 'ibm-cloud-sdk-core';
+import { getConfig, requireSetting } from './config.js';
+import { createWatsonxClient } from './watsonx-client.js';
 
-const client = WatsonXAI.newInstance({
-  version: '2024-05-31',
-  serviceUrl: process.env.WATSONX_URL || 'https://us-south.ml.cloud.ibm.com',
-  authenticator: new IamAuthenticator({
-    apikey: process.env.WATSONX_API_KEY,
-  }),
-});
+const config = getConfig();
+requireSetting(config, 'watsonx.apiKey');
+const client = createWatsonxClient(config);
 
 console.log('=== watsonx.ai MCP Server Test ===\n');
 
@@ -0,0 +1,294 @@
+/**
+ * Topic canonicalization and document themes for batch reports
+ * Topics are grouped by a normalized key (cleaned, case-folded, plurals singularized), then
+ * groups whose labels embed close together are merged ("IBM Cloud" / "IBM Cloud Platform").
+ * Documents are clustered into themes with spherical k-means over their embeddings
+ * (ann-index.js), and each theme gets a short generated label.
+ */
+
+import { trainIvf } from "./ann-index.js";
+
+export const DEFAULT_MERGE_THRESHOLD = 0.9;
+
+// Words whose trailing "s" is not a plural
+const SINGULAR_ENDINGS = /(ss|us|is|ics|ous|sis)$/;
+
+// Words the rules below get wrong: left as they are, or mapped to their singular
+const INVARIANT_WORDS = new Set(["news", "series", "species", "means", "kubernetes", "diabetes", "herpes", "gas", "canvas", "atlas", "alias", "bias"]);
+const IRREGULAR_PLURALS = new Map([
+  ["buses", "bus"], ["lenses", "lens"], ["movies", "movie"], ["cookies", "cookie"], ["calories", "calorie"],
+  ["zombies", "zombie"], ["selfies", "selfie"], ["rookies", "rookie"], ["indices", "index"], ["matrices", "matrix"],
+  ["vertices", "vertex"], ["appendices", "appendix"], ["criteria", "criterion"], ["phenomena", "phenomenon"],
+]);
+
+/**
+ * Strip list numbering, bullets, quotes, trailing punctuation and extra whitespace
+ */
+export function cleanTopic(topic) {
+  return String(topic)
+    .replace(/^\s*(?:[-*\u2022]|\d+[.)])\s*/, "")
+    .replace(/^["'`]+|["'`]+$/g, "")
+    .replace(/[.;:,!]+$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Longer strings are sentences or run-on model output rather than topics
+const MAX_TOPIC_LENGTH = 80;
+
+/**
+ * Split a raw topic that holds several, e.g. "Kubernetes 2. Helm 3. Operators" or lines.
+ * Fragments with no letters (leftover numbering such as "11" from cut-off output, "##") are
+ * dropped.
+ */
+export function splitTopics(raw) {
+  return String(raw)
+    .split(/\n|\s+(?=\d{1,2}[.)]\s)/)
+    .map(cleanTopic)
+    .filter(topic => /\p{L}/u.test(topic) && topic.length <= MAX_TOPIC_LENGTH);
+}
+
+/**
+ * Singular form of an English word (rule-based, for grouping only)
+ */
+export function lemmatize(word) {
+  if (INVARIANT_WORDS.has(word)) return word;
+  if (IRREGULAR_PLURALS.has(word)) return IRREGULAR_PLURALS.get(word);
+  if (word.length <= 3 || SINGULAR_ENDINGS.test(word)) return word;
+  if (word.endsWith("ies") && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(sses|xes|ches|shes|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s")) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Grouping key for a topic: case-folded, with each word lemmatized
+ */
+export function topicKey(topic) {
+  return cleanTopic(topic)
+    .toLowerCase()
+    .split(/[\s/-]+/)
+    .filter(Boolean)
+    .map(lemmatize)
+    .join(" ");
+}
+
+/**
+ * Group the documents' topics (split with splitTopics) by topicKey. Each group is
+ * { label, key, count, variants, docs } where label is the most common spelling, count the
+ * number of documents mentioning it and docs their indexes. Sorted by count, largest first.
+ */
+export function groupTopics(documents) {
+  const groups = new Map();
+  documents.forEach((doc, i) => {
+    for (const topic of (doc.topics || []).flatMap(splitTopics)) {
+      const key = topicKey(topic);
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, { key, forms: new Map(), docs: new Set() });
+      const group = groups.get(key);
+      group.forms.set(topic, (group.forms.get(topic) || 0) + 1);
+      group.docs.add(i);
+    }
+  });
+  return [...groups.values()].map(finishGroup).sort((a, b) => b.count - a.count);
+}
+
+function finishGroup(group) {
+  const variants = [...group.forms.entries()].sort((a, b) => b[1] - a[1]).map(([form]) => form);
+  return { key: group.key, label: variants[0], count: group.docs.size, variants, docs: group.docs, forms: group.forms };
+}
+
+/**
+ * Merge groups whose label vectors (unit length, one per group) have cosine similarity of at
+ * least `threshold`. Each group joins the largest earlier group it is close to.
+ */
+export function mergeSimilarTopics(groups, vectors, threshold = DEFAULT_MERGE_THRESHOLD) {
+  const merged = [];
+  const centres = [];
+  groups.forEach((group, i) => {
+    let best = -1, bestScore = threshold;
+    centres.forEach((centre, j) => {
+      let score = 0;
+      for (let d = 0; d < centre.length; d++) score += centre[d] * vectors[i][d];
+      if (score >= bestScore) {
+        bestScore = score;
+        best = j;
+      }
+    });
+    if (best < 0) {
+      merged.push({ key: group.key, forms: new Map(group.forms), docs: new Set(group.docs) });
+      centres.push(vectors[i]);
+    } else {
+      const target = merged[best];
+      group.forms.forEach((n, form) => target.forms.set(form, (target.forms.get(form) || 0) + n));
+      group.docs.forEach(doc => target.docs.add(doc));
+    }
+  });
+  // The merged group keeps the label of its largest member
+  return merged.map(group => {
+    const finished = finishGroup(group);
+    const largest = groups.find(g => g.key === group.key);
+    return { ...finished, label: largest.label, variants: [largest.label, ...finished.variants.filter(v => v !== largest.label)] };
+  }).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Canonical topic groups for a batch. With `embed(texts)` (returning unit-length vectors),
+ * near-duplicate groups are merged too.
+ */
+export async function canonicalTopics(documents, { embed, threshold = DEFAULT_MERGE_THRESHOLD } = {}) {
+  const groups = groupTopics(documents);
+  if (!embed || groups.length < 2) return groups;
+  const vectors = await embed(groups.map(g => g.label));
+  return mergeSimilarTopics(groups, vectors, threshold);
+}
+
+/**
+ * The report's top_topics table: [{ topic, count, variants }]
+ */
+export function topicTable(groups, limit = 10) {
+  return groups.slice(0, limit).map(g => ({ topic: g.label, count: g.count, variants: g.variants }));
+}
+
+/**
+ * Canonical topics of each document, in the order the document listed them
+ */
+function documentTopics(groups, documents) {
+  const labelOf = new Map();
+  groups.forEach(g => g.forms.forEach((_, form) => labelOf.set(form, g.label)));
+  return documents.map(doc => [...new Set((doc.topics || []).flatMap(splitTopics).map(t => labelOf.get(t)).filter(Boolean))]);
+}
+
+/**
+ * Default number of themes for n documents: about sqrt(n / 2), between 2 and 12
+ */
+export function defaultThemeCount(n) {
+  return Math.max(2, Math.min(12, Math.round(Math.sqrt(n / 2))));
+}
+
+/**
+ * Text embedded for a document when clustering: its summary and topics
+ */
+export function themeText(doc) {
+  return [doc.summary, (doc.topics || []).flatMap(splitTopics).join(", ")].filter(Boolean).join("\n");
+}
+
+/**
+ * Topics most specific to a theme: frequent among its documents, rare elsewhere
+ */
+function themeKeywords(memberIndexes, groups, total, limit = 3) {
+  const members = new Set(memberIndexes);
+  return groups
+    .map(g => {
+      const inside = [...g.docs].filter(i => members.has(i)).length;
+      return { label: g.label, score: inside * Math.log(1 + total / g.count) };
+    })
+    .filter(k => k.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(k => k.label);
+}
+
+/**
+ * A label no earlier theme uses, since documents refer to their theme by label: the generated
+ * label, else the keywords, with the first keyword or a number added to tell repeats apart
+ */
+function uniqueLabel(themes, generated, keywords) {
+  const taken = new Set(themes.map(t => t.label.toLowerCase()));
+  const base = generated || keywords.join(" / ") || `Theme ${themes.length + 1}`;
+  const candidates = [base, ...(generated && keywords.length ? [`${base} (${keywords[0]})`] : [])];
+  const free = candidates.find(c => !taken.has(c.toLowerCase()));
+  if (free) return free;
+  let n = 2;
+  while (taken.has(`${base} ${n}`.toLowerCase())) n++;
+  return `${base} ${n}`;
+}
+
+/**
+ * Cluster documents into themes.
+ * vectors[i] is the unit-length embedding of documents[i], or null to leave it out.
+ * `label(theme)` may return a generated label; the theme's keywords are used otherwise.
+ * Labels are unique within the result.
+ * Returns [{ label, size, keywords, categories, documents }], largest first, and the theme
+ * index of each document (or null).
+ */
+export async function clusterThemes(documents, vectors, { groups = [], count, label } = {}) {
+  const indexes = vectors.map((v, i) => (v ? i : -1)).filter(i => i >= 0);
+  if (indexes.length < 2) return { themes: [], assignments: documents.map(() => null) };
+
+  const k = Math.min(count || defaultThemeCount(indexes.length), indexes.length);
+  const { assignments } = trainIvf(indexes.map(i => vectors[i]), { nlist: k });
+  const members = Array.from({ length: k }, () => []);
+  assignments.forEach((cluster, j) => members[cluster].push(indexes[j]));
+
+  const themes = [];
+  for (const memberIndexes of members.filter(m => m.length > 0).sort((a, b) => b.length - a.length)) {
+    const categories = {};
+    memberIndexes.forEach(i => {
+      const category = documents[i].category;
+      if (category) categories[category] = (categories[category] || 0) + 1;
+    });
+    const theme = {
+      size: memberIndexes.length,
+      keywords: themeKeywords(memberIndexes, groups, documents.length),
+      categories,
+      documents: memberIndexes.map(i => documents[i].filename),
+    };
+    const generated = label ? await label(theme, memberIndexes.map(i => documents[i])).catch(() => null) : null;
+    themes.push({ label: uniqueLabel(themes, generated, theme.keywords), ...theme, members: memberIndexes });
+  }
+
+  const byDoc = documents.map(() => null);
+  themes.forEach((theme, t) => theme.members.forEach(i => {
+    byDoc[i] = t;
+  }));
+  return { themes: themes.map(({ members: _, ...theme }) => theme), assignments: byDoc };
+}
+
+/**
+ * Add canonical topics and themes to a batch report.
+ * embed(texts) returns unit-length vectors; generate(prompt) returns generated text (used for
+ * theme labels). readText(doc), when given, supplies text for documents with no summary or
+ * topics. Each document gets `canonical_topics` and `theme`; the report gets a canonical
+ * `top_topics` and `themes`.
+ */
+export async function analyzeThemes(report, { embed, generate, readText, threshold, count }) {
+  const documents = report.documents.filter(doc => !doc.error);
+  const groups = await canonicalTopics(documents, { embed, threshold });
+
+  const texts = await Promise.all(documents.map(async doc => themeText(doc) || (await readText?.(doc)) || ""));
+  const present = texts.map((t, i) => (t ? i : -1)).filter(i => i >= 0);
+  const embedded = present.length ? await embed(present.map(i => texts[i])) : [];
+  const vectors = documents.map(() => null);
+  present.forEach((i, j) => {
+    vectors[i] = embedded[j];
+  });
+
+  const label = generate && (async (theme, members) => {
+    const lines = members.slice(0, 8).map(doc => `- ${doc.summary || (doc.topics || []).join(", ") || doc.filename}`);
+    const text = await generate(`These documents belong to one group. Give the group a short descriptive label (2-5 words). Reply with ONLY the label.
+
+${theme.keywords.length ? `Key topics: ${theme.keywords.join(", ")}\n` : ""}Documents:
+${lines.join("\n")}
+
+Label:`);
+    return cleanTopic(text.split("\n")[0]).slice(0, 60);
+  });
+  const { themes, assignments } = await clusterThemes(documents, vectors, { groups, count, label });
+
+  const canonical = documentTopics(groups, documents);
+  documents.forEach((doc, i) => {
+    if (doc.topics) doc.canonical_topics = canonical[i];
+    doc.theme = assignments[i] === null ? null : themes[assignments[i]].label;
+  });
+
+  // Themes are reported next to the category distribution
+  const { summary, category_distribution, themes: _previous, top_topics, ...rest } = report;
+  return {
+    summary,
+    category_distribution,
+    themes,
+    top_topics: groups.length ? topicTable(groups) : top_topics,
+    ...rest,
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Binary vector storage
+ * Embeddings live in a sidecar file next to the JSON index manifest,
+ * as row-major float32 or int8-quantized vectors.
+ *
+ * float32 layout: count × dimension float32 values (little-endian)
+ * int8 layout:    count float32 per-vector scales, then count × dimension int8 values
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+export const VECTOR_DTYPES = ["float32", "int8"];
+
+/**
+ * Sidecar path for an index manifest (embeddings-index.json -> embeddings-index.vectors.bin)
+ */
+export function vectorsPath(indexPath) {
+  const ext = path.extname(indexPath);
+  return `${ext ? indexPath.slice(0, -ext.length) : indexPath}.vectors.bin`;
+}
+
+/**
+ * Encode vectors into a buffer in the given dtype
+ */
+export function encodeVectors(vectors, dtype = "float32") {
+  if (!VECTOR_DTYPES.includes(dtype)) {
+    throw new Error(`Unknown vector dtype: ${dtype}. Use "float32" or "int8".`);
+  }
+  const count = vectors.length;
+  const dimension = count > 0 ? vectors[0].length : 0;
+
+  if (dtype === "float32") {
+    const data = new Float32Array(count * dimension);
+    vectors.forEach((v, i) => data.set(v, i * dimension));
+    return { buffer: Buffer.from(data.buffer), dimension };
+  }
+
+  // Symmetric per-vector quantization: q = round(x / scale), scale = max|x| / 127
+  const buffer = Buffer.alloc(count * 4 + count * dimension);
+  const scales = new Float32Array(buffer.buffer, buffer.byteOffset, count);
+  const data = new Int8Array(buffer.buffer, buffer.byteOffset + count * 4, count * dimension);
+  vectors.forEach((v, i) => {
+    let max = 0;
+    for (let j = 0; j < dimension; j++) max = Math.max(max, Math.abs(v[j]));
+    const scale = max / 127 || 1;
+    scales[i] = scale;
+    for (let j = 0; j < dimension; j++) data[i * dimension + j] = Math.round(v[j] / scale);
+  });
+  return { buffer, dimension };
+}
+
+/**
+ * Decode a buffer into one Float32Array per vector.
+ * float32 rows are zero-copy views over the buffer.
+ */
+export function decodeVectors(buffer, { dtype = "float32", dimension, count }) {
+  if (dtype === "float32") {
+    // Copy only if the buffer is not 4-byte aligned
+    const aligned = buffer.byteOffset % 4 === 0 ? buffer : Buffer.from(buffer);
+    const data = new Float32Array(aligned.buffer, aligned.byteOffset, count * dimension);
+    return Array.from({ length: count }, (_, i) => data.subarray(i * dimension, (i + 1) * dimension));
+  }
+  if (dtype === "int8") {
+    const aligned = buffer.byteOffset % 4 === 0 ? buffer : Buffer.from(buffer);
+    const scales = new Float32Array(aligned.buffer, aligned.byteOffset, count);
+    const data = new Int8Array(aligned.buffer, aligned.byteOffset + count * 4, count * dimension);
+    return Array.from({ length: count }, (_, i) => {
+      const row = new Float32Array(dimension);
+      for (let j = 0; j < dimension; j++) row[j] = data[i * dimension + j] * scales[i];
+      return row;
+    });
+  }
+  throw new Error(`Unknown vector dtype: ${dtype}. Use "float32" or "int8".`);
+}
+
+/**
+ * Write vectors to the sidecar file. Returns the manifest entry describing them.
+ */
+export async function writeVectors(filePath, vectors, dtype = "float32") {
+  const { buffer, dimension } = encodeVectors(vectors, dtype);
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, buffer);
+  await fs.rename(tmpPath, filePath);
+  return { file: path.basename(filePath), dtype, dimension, count: vectors.length };
+}
+
+// int8 rows are read and dequantized this many at a time
+const READ_CHUNK_ROWS = 4096;
+
+/**
+ * Read `target.length` bytes from `position`, looping over short reads
+ */
+async function readFully(handle, target, position, filePath) {
+  let done = 0;
+  while (done < target.length) {
+    const { bytesRead } = await handle.read(target, done, target.length - done, position + done);
+    if (bytesRead === 0) throw new Error(`Vector file ${filePath} ended early`);
+    done += bytesRead;
+  }
+}
+
+/**
+ * Read vectors described by a manifest entry.
+ * All vectors are views over one Float32Array: float32 files are read straight into it, and
+ * int8 files are dequantized into it a chunk of rows at a time, so the file is never held in
+ * memory next to the decoded vectors.
+ */
+export async function readVectors(filePath, { dtype = "float32", dimension, count }) {
+  if (count === 0) return [];
+  if (!VECTOR_DTYPES.includes(dtype)) {
+    throw new Error(`Unknown vector dtype: ${dtype}. Use "float32" or "int8".`);
+  }
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const rowBytes = dtype === "int8" ? dimension + 4 : dimension * 4;
+    if (size !== rowBytes * count) {
+      throw new Error(`Vector file ${filePath} is ${size} bytes, expected ${rowBytes * count}`);
+    }
+
+    const data = new Float32Array(count * dimension);
+    if (dtype === "float32") {
+      await readFully(handle, new Uint8Array(data.buffer), 0, filePath);
+    } else {
+      const scales = new Float32Array(count);
+      await readFully(handle, new Uint8Array(scales.buffer), 0, filePath);
+      const chunk = new Int8Array(Math.min(count, READ_CHUNK_ROWS) * dimension);
+      for (let first = 0; first < count; first += READ_CHUNK_ROWS) {
+        const rows = Math.min(READ_CHUNK_ROWS, count - first);
+        await readFully(handle, new Uint8Array(chunk.buffer, 0, rows * dimension), count * 4 + first * dimension, filePath);
+        for (let r = 0; r < rows; r++) {
+          const scale = scales[first + r];
+          const offset = (first + r) * dimension;
+          for (let j = 0; j < dimension; j++) data[offset + j] = chunk[r * dimension + j] * scale;
+        }
+      }
+    }
+    return Array.from({ length: count }, (_, i) => data.subarray(i * dimension, (i + 1) * dimension));
+  } finally {
+    await handle.close();
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Shared watsonx.ai client
+ * Creates the SDK client from the shared configuration (see config.js) and makes every
+ * request it sends resilient:
+ * - 429, 5xx and dropped connections are retried with exponential backoff and full jitter,
+ *   honouring Retry-After when the service sends it
+ * - requests are spaced to stay under watsonx.requestsPerSecond
+ * - each attempt is aborted after watsonx.timeoutMs
+ *
+ * The policy is applied to the SDK's HTTP requests, so it covers every client method.
+ * For streaming methods it covers opening the stream, not reading it.
+ */
+
+import { WatsonXAI } from "@ibm-cloud/watsonx-ai";
+import { IamAuthenticator } from "ibm-cloud-sdk-core";
+import { getConfig, getScope } from "./config.js";
+
+// Space vs project scope lives with the rest of the configuration; re-exported for entry points
+export { getScope };
+
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+// Connection errors worth retrying (a refused connection or unknown host is not transient)
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EPIPE", "EAI_AGAIN"]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request may succeed if sent again
+ */
+export function isRetryable(err) {
+  if (err?.timedOut) return true;
+  const status = err?.status;
+  if (status) return status === 429 || (status >= 500 && status !== 501);
+  return RETRYABLE_CODES.has(err?.statusText) || RETRYABLE_CODES.has(err?.code);
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date), or null
+ */
+function retryAfterMs(err) {
+  const header = err?.headers?.["retry-after"];
+  if (header === undefined || header === null) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Full-jitter exponential backoff: a random delay up to min(maxDelayMs, baseDelayMs * 2^attempt)
+ */
+export function backoffDelay(attempt, { baseDelayMs = BASE_DELAY_MS, maxDelayMs = MAX_DELAY_MS } = {}) {
+  return Math.floor(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Spaces calls at least 1/requestsPerSecond apart. 0 disables the limit.
+ */
+export class RateLimiter {
+  constructor(requestsPerSecond = 0) {
+    this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.next = 0;
+  }
+
+  async acquire() {
+    if (!this.interval) return;
+    const now = Date.now();
+    const at = Math.max(now, this.next);
+    this.next = at + this.interval;
+    if (at > now) await sleep(at - now);
+  }
+}
+
+/**
+ * Run fn(signal), aborting it via `signal` and rejecting after timeoutMs (0 = no timeout).
+ * The caller's own signal still aborts the call.
+ */
+async function withTimeout(fn, timeoutMs, callerSignal) {
+  if (!timeoutMs) return fn(callerSignal);
+  const controller = new AbortController();
+  const signal = callerSignal ? AbortSignal.any([callerSignal, controller.signal]) : controller.signal;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`watsonx.ai request timed out after ${timeoutMs} ms`);
+      err.timedOut = true;
+      // Reject before aborting so the race settles with the timeout, not the abort error
+      reject(err);
+      controller.abort(err);
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([fn(signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Call fn(signal) under the retry policy. Errors that are not retryable, or that persist
+ * after maxRetries retries, are rethrown with `attempts` set.
+ * onRetry({ attempt, delay, error }) is called before each retry.
+ */
+export async function withRetries(fn, {
+  maxRetries = 4,
+  baseDelayMs,
+  maxDelayMs,
+  timeoutMs = 0,
+  limiter,
+  signal,
+  onRetry,
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await limiter?.acquire();
+    try {
+      return await withTimeout(fn, timeoutMs, signal);
+    } catch (err) {
+      if (attempt >= maxRetries || signal?.aborted || !isRetryable(err)) {
+        if (err && typeof err === "object") err.attempts = attempt + 1;
+        throw err;
+      }
+      const delay = retryAfterMs(err) ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      onRetry?.({ attempt: attempt + 1, delay, error: err });
+      await sleep(delay);
+    }
+  }
+}
+
+function logRetry({ attempt, delay, error }, maxRetries) {
+  const reason = error.status ? `${error.status} ${error.statusText || ""}`.trim() : error.message;
+  console.error(`watsonx.ai request failed (${reason}); retry ${attempt}/${maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+}
+
+/**
+ * Create a watsonx.ai client with the retry, rate-limit and timeout policy.
+ * Returns null when no API key is configured.
+ */
+export function createWatsonxClient(config = getConfig(), { onRetry } = {}) {
+  if (!config.watsonx.apiKey) return null;
+  const client = WatsonXAI.newInstance({
+    version: "2024-05-31",
+    serviceUrl: config.watsonx.url,
+    authenticator: new IamAuthenticator({
+      apikey: config.watsonx.apiKey,
+    }),
+  });
+
+  const { maxRetries, requestsPerSecond, timeoutMs } = config.watsonx;
+  const policy = {
+    maxRetries,
+    timeoutMs,
+    limiter: new RateLimiter(requestsPerSecond),
+    onRetry: onRetry || (retry => logRetry(retry, maxRetries)),
+  };
+
+  // Every SDK method sends its HTTP request through createRequest
+  const createRequest = client.createRequest;
+  client.createRequest = (parameters, additionalParameters) => {
+    const axiosOptions = parameters.defaultOptions.axiosOptions || {};
+    return withRetries(signal => {
+      parameters.defaultOptions.axiosOptions = { ...axiosOptions, signal };
+      return createRequest.call(client, parameters, additionalParameters);
+    }, { ...policy, signal: axiosOptions.signal });
+  };
+  return client;
+}
+
+let sharedClient;
+
+/**
+ * The process-wide client built from the shared configuration (null without an API key)
+ */
+export function getWatsonxClient() {
+  if (sharedClient === undefined) sharedClient = createWatsonxClient();
+  return sharedClient;
+}
@@ -0,0 +1,231 @@
+/**
+ * z/OS Connect client
+ * Service catalog, OpenAPI discovery and schema-validated service calls
+ */
+
+import { resolveRef, validateSchema } from "./json-schema.js";
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "patch", "head", "options"];
+
+/**
+ * Build request headers for the configured authentication scheme
+ */
+function authHeaders({ type, apiKey, apiKeyHeader, username, password }) {
+  switch (type) {
+    case "none":
+      return {};
+    case "basic":
+      if (!username) throw new Error("z/OS Connect basic auth requires ZOS_CONNECT_USERNAME.");
+      return { "Authorization": `Basic ${Buffer.from(`${username}:${password || ""}`).toString("base64")}` };
+    case "header":
+      if (!apiKey) throw new Error("z/OS Connect header auth requires ZOS_CONNECT_API_KEY.");
+      return { [apiKeyHeader || "X-API-Key"]: apiKey };
+    case "bearer":
+      if (!apiKey) throw new Error("z/OS Connect bearer auth requires ZOS_CONNECT_API_KEY.");
+      return { "Authorization": `Bearer ${apiKey}` };
+    default:
+      throw new Error(`Unknown z/OS Connect auth type: ${type}. Use "bearer", "basic", "header" or "none".`);
+  }
+}
+
+/**
+ * Pick an auth scheme from whichever credentials are configured
+ */
+function inferAuthType({ apiKey, apiKeyHeader, username }) {
+  if (username) return "basic";
+  if (apiKey) return apiKeyHeader ? "header" : "bearer";
+  return "none";
+}
+
+/**
+ * Extract the JSON request body schema of an OpenAPI 2 or 3 operation
+ */
+function operationRequestSchema(operation) {
+  const content = operation.requestBody?.content;
+  if (content) {
+    return (content["application/json"] || Object.values(content)[0])?.schema || null;
+  }
+  const bodyParam = (operation.parameters || []).find((p) => p.in === "body");
+  return bodyParam?.schema || null;
+}
+
+/**
+ * Summarize the operations of an OpenAPI document
+ */
+export function parseOpenApiOperations(doc) {
+  const basePath = doc.basePath || new URL(doc.servers?.[0]?.url || "/", "http://localhost").pathname;
+  const operations = [];
+  for (const [route, pathItem] of Object.entries(doc.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+      operations.push({
+        method: method.toUpperCase(),
+        path: `${basePath.replace(/\/+$/, "")}${route}`,
+        operationId: operation.operationId,
+        summary: operation.summary || operation.description,
+        parameters: (operation.parameters || [])
+          .filter((p) => p.in !== "body")
+          .map((p) => ({ name: p.name, in: p.in, required: !!p.required })),
+        requestSchema: operationRequestSchema(operation),
+      });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Inline local $refs so a schema can be returned or validated on its own
+ */
+function dereference(schema, root, seen = new Set()) {
+  if (Array.isArray(schema)) return schema.map((s) => dereference(s, root, seen));
+  if (!schema || typeof schema !== "object") return schema;
+  if (schema.$ref) {
+    if (seen.has(schema.$ref)) return {};
+    return dereference(resolveRef(root, schema.$ref), root, new Set([...seen, schema.$ref]));
+  }
+  return Object.fromEntries(Object.entries(schema).map(([k, v]) => [k, dereference(v, root, seen)]));
+}
+
+/**
+ * Client for the z/OS Connect EE administration and invocation APIs
+ */
+export class ZosConnectClient {
+  constructor({ baseUrl, auth = {}, headers = {} }) {
+    if (!baseUrl) {
+      throw new Error("z/OS Connect not configured. Set ZOS_CONNECT_URL or zosConnect.url in the config file.");
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.headers = {
+      ...headers,
+      ...authHeaders({ ...auth, type: auth.type || inferAuthType(auth) }),
+    };
+    this.schemaCache = new Map();
+  }
+
+  async request(endpoint, method = "GET", body = null) {
+    // Catalog entries carry absolute URLs; re-root them so the configured base URL always applies.
+    // Their path usually already includes the base URL's path, which must not be added twice.
+    if (/^https?:\/\//.test(endpoint)) {
+      const { pathname, search } = new URL(endpoint);
+      const basePath = new URL(this.baseUrl).pathname.replace(/\/+$/, "");
+      const inBase = basePath && (pathname === basePath || pathname.startsWith(`${basePath}/`));
+      endpoint = `${inBase ? pathname.slice(basePath.length) : pathname}${search}`;
+    }
+    const url = `${this.baseUrl}${endpoint}`;
+    const headers = {
+      "Content-Type": "application/json",
+      "Accept": "application/json",
+      ...this.headers,
+    };
+
+    const options = { method, headers };
+    if (body && (method === "POST" || method === "PUT" || method === "PATCH")) {
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(url, options);
+    if (!response.ok) {
+      throw new Error(`z/OS Connect error: ${response.status} ${response.statusText}`);
+    }
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  }
+
+  /**
+   * Request that returns null instead of throwing (for optional catalog entries)
+   */
+  async tryRequest(endpoint) {
+    try {
+      return await this.request(endpoint);
+    } catch {
+      return null;
+    }
+  }
+
+  async listApis() {
+    const data = await this.tryRequest("/zosConnect/apis");
+    return (data?.apis || []).map((api) => ({
+      name: api.name,
+      version: api.version,
+      description: api.description,
+      adminUrl: api.adminUrl,
+    }));
+  }
+
+  async listServices() {
+    const data = await this.request("/zosConnect/services");
+    const services = (data.zosConnectServices || data.services || []).map((s) => ({
+      name: s.ServiceName || s.serviceName || s.name,
+      description: s.ServiceDescription || s.serviceDescription || s.description,
+      provider: s.ServiceProvider || s.serviceProvider,
+      url: s.ServiceURL || s.serviceURL,
+    }));
+    return { services, apis: await this.listApis() };
+  }
+
+  /**
+   * OpenAPI operations, across all APIs, that are backed by the given service
+   */
+  async findServiceOperations(serviceName) {
+    const operations = [];
+    for (const api of await this.listApis()) {
+      const detail = await this.tryRequest(api.adminUrl || `/zosConnect/apis/${encodeURIComponent(api.name)}`);
+      const usesService = (detail?.services || []).some((s) => (s.name || s) === serviceName);
+      const docUrl = detail?.documentation?.swagger || detail?.documentation?.openapi;
+      if (!usesService || !docUrl) continue;
+
+      const doc = await this.tryRequest(docUrl);
+      if (!doc) continue;
+      for (const op of parseOpenApiOperations(doc)) {
+        operations.push({ api: api.name, ...op, requestSchema: dereference(op.requestSchema, doc) });
+      }
+    }
+    return operations;
+  }
+
+  async getServiceInfo(serviceName) {
+    const name = encodeURIComponent(serviceName);
+    const detail = await this.request(`/zosConnect/services/${name}`);
+    const service = detail.zosConnect || detail;
+    const [requestSchema, responseSchema, operations] = await Promise.all([
+      this.tryRequest(`/zosConnect/services/${name}?action=getRequestSchema`),
+      this.tryRequest(`/zosConnect/services/${name}?action=getResponseSchema`),
+      this.findServiceOperations(serviceName),
+    ]);
+    this.schemaCache.set(serviceName, { service, requestSchema, operations });
+
+    return {
+      name: service.serviceName || serviceName,
+      description: service.serviceDescription,
+      provider: service.serviceProvider,
+      status: service.serviceStatus,
+      invokeUrl: service.serviceInvokeURL,
+      requestSchema,
+      responseSchema,
+      operations,
+    };
+  }
+
+  /**
+   * Validate the payload against the service request schema, then invoke the service
+   */
+  async callService(serviceName, payload = {}, operation = "POST") {
+    if (!this.schemaCache.has(serviceName)) {
+      await this.getServiceInfo(serviceName);
+    }
+    const { service, requestSchema, operations } = this.schemaCache.get(serviceName);
+    const method = operation.toUpperCase();
+    const schema = requestSchema || operations.find((op) => op.method === method && op.requestSchema)?.requestSchema;
+
+    if (schema) {
+      const errors = validateSchema(schema, payload);
+      if (errors.length > 0) {
+        throw new Error(`Payload does not match request schema for ${serviceName}:\n  ${errors.join("\n  ")}`);
+      }
+    }
+
+    const invokeUrl = service.serviceInvokeURL || `/zosConnect/services/${encodeURIComponent(serviceName)}?action=invoke`;
+    return this.request(invokeUrl, method, payload);
+  }
+}